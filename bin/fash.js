@@ -7,6 +7,7 @@
  */
 
 var bunyan = require('bunyan');
+var child_process = require('child_process');
 var cmdln = require('cmdln');
 var fash = require('../lib/index');
 var fs = require('fs');
@@ -20,6 +21,8 @@ var BACKENDS = {
     LEVEL_DB: 'leveldb',
     IN_MEMORY: 'memory'
 };
+// the number of keys get-node --batch looks up at a time.
+var BATCH_SIZE = 1000;
 
 function Fash() {
     Cmdln.call(this, {
@@ -41,6 +44,289 @@ function Fash() {
 }
 util.inherits(Fash, Cmdln);
 
+/**
+ * Parses a space separated list of key=value pairs, e.g. 'A=zone1 B=zone2'.
+ *
+ * @param {String} str The list of pairs.
+ * @return {Object} the map of {key -> value}.
+ */
+function parsePairs(str) {
+    var pairs = {};
+    str.split(' ').forEach(function (pair) {
+        if (!pair) {
+            return;
+        }
+        var idx = pair.lastIndexOf('=');
+        if (idx <= 0) {
+            throw new verror.VError('invalid pair %s, expected key=value',
+                                    pair);
+        }
+        pairs[pair.substr(0, idx)] = pair.substr(idx + 1);
+    });
+    return (pairs);
+}
+
+/**
+ * Parses a list of vnodes and vnode ranges, separated by spaces or commas,
+ * e.g. '1 2 10-20,30'. Ranges are inclusive.
+ *
+ * @param {String} str The list of vnodes.
+ * @return {Number[]} the vnodes.
+ */
+function parseVnodes(str) {
+    var vnodes = [];
+    str.split(/[\s,]+/).forEach(function (item) {
+        if (!item) {
+            return;
+        }
+        var range = /^(\d+)-(\d+)$/.exec(item);
+        if (range) {
+            var start = parseInt(range[1], 10);
+            var end = parseInt(range[2], 10);
+            if (start > end) {
+                throw new verror.VError('invalid vnode range %s', item);
+            }
+            for (var v = start; v <= end; v++) {
+                vnodes.push(v);
+            }
+        } else if (/^\d+$/.test(item)) {
+            vnodes.push(parseInt(item, 10));
+        } else {
+            throw new verror.VError('invalid vnode %s', item);
+        }
+    });
+    return (vnodes);
+}
+
+/**
+ * Parses a simple JSON path, e.g. '$.meta.hosts[0]', into the keys it walks.
+ * The leading '$' and '.' are optional, so 'meta.owner' works too, and '$'
+ * on its own is the whole value.
+ *
+ * @param {String} path The path.
+ * @return {Array} the keys, Strings for members and Numbers for indices.
+ */
+function parseJsonPath(path) {
+    var rest = path.replace(/^\$/, '');
+    if (rest && rest.charAt(0) !== '.' && rest.charAt(0) !== '[') {
+        rest = '.' + rest;
+    }
+    var keys = [];
+    while (rest.length > 0) {
+        var m = /^(?:\.([^.\[\]]+)|\[(\d+)\])/.exec(rest);
+        if (!m) {
+            throw new verror.VError('invalid JSON path %s', path);
+        }
+        keys.push(m[1] !== undefined ? m[1] : parseInt(m[2], 10));
+        rest = rest.substr(m[0].length);
+    }
+    return (keys);
+}
+
+/**
+ * Parses a match on the data of a vnode, of the form path=value or path,
+ * e.g. 'state=readonly' or 'meta.hosts[0]'. The value is parsed as JSON if it
+ * can be, and is a String otherwise. Without a value, the path only has to
+ * exist.
+ *
+ * @param {String} str The match.
+ * @return {function} f(data), which returns whether the data matches.
+ */
+function parseMatch(str) {
+    var idx = str.indexOf('=');
+    var keys = parseJsonPath(idx === -1 ? str : str.substr(0, idx));
+    var value;
+    if (idx !== -1) {
+        try {
+            value = JSON.stringify(JSON.parse(str.substr(idx + 1)));
+        } catch (e) {
+            value = JSON.stringify(str.substr(idx + 1));
+        }
+    }
+    return function (data) {
+        for (var i = 0; i < keys.length; i++) {
+            if (data === null || typeof (data) !== 'object' ||
+                !data.hasOwnProperty(keys[i])) {
+                return (false);
+            }
+            data = data[keys[i]];
+        }
+        return (value === undefined || JSON.stringify(data) === value);
+    };
+}
+
+/**
+ * Formats rows of cells as a table, with each column as wide as its widest
+ * cell. The first column is aligned left and the others right.
+ *
+ * @param {Array[]} rows The rows of cells.
+ * @return {String} the table.
+ */
+function formatTable(rows) {
+    var widths = [];
+    rows.forEach(function (row) {
+        row.forEach(function (cell, i) {
+            widths[i] = Math.max(widths[i] || 0, String(cell).length);
+        });
+    });
+    return (rows.map(function (row) {
+        return (row.map(function (cell, i) {
+            var pad = new Array(widths[i] - String(cell).length + 1).join(' ');
+            return (i === 0 ? cell + pad : pad + cell);
+        }).join('  '));
+    }).join('\n'));
+}
+
+/**
+ * Loads the ring for a subcommand. If using the in_memory backend, the
+ * serialized ring is read from the file at opts.l, or from stdin if opts.l is
+ * not set. If using the leveldb backend, opts.l is the path to the leveldb.
+ *
+ * @param {Object} opts The parsed subcommand options.
+ * @param {String} opts.b The backend, one of BACKENDS.
+ * @param {String} opts.l The location of the ring.
+ * @param {Object} log The bunyan logger.
+ * @param {function} cb The callback f(err, hash).
+ */
+function loadRing(opts, log, cb) {
+    var hashOptions = {
+        log: log
+    };
+
+    if (opts.b === BACKENDS.IN_MEMORY) {
+        hashOptions.backend = fash.BACKEND.IN_MEMORY;
+        if (opts.l) {
+            hashOptions.topology = fs.readFileSync(opts.l, 'utf8');
+            return (fash.deserialize(hashOptions, cb));
+        }
+        hashOptions.topology = '';
+        process.stdin.resume();
+        process.stdin.setEncoding('utf8');
+
+        process.stdin.on('data', function (chunk) {
+            hashOptions.topology += chunk;
+        });
+
+        process.stdin.on('end', function () {
+            fash.deserialize(hashOptions, cb);
+        });
+    } else if (opts.b === BACKENDS.LEVEL_DB) {
+        if (!opts.l) {
+            return (cb(new verror.VError('leveldb backend requires a ' +
+                                         'location')));
+        }
+        hashOptions.backend = fash.BACKEND.LEVEL_DB;
+        hashOptions.location = opts.l;
+        return (fash.load(hashOptions, cb));
+    } else {
+        return (cb(new verror.VError('backend must be one of %s or %s',
+                                     BACKENDS.IN_MEMORY, BACKENDS.LEVEL_DB)));
+    }
+
+    return (undefined);
+}
+
+/**
+ * Hashes the newline separated keys on stdin, and prints the {key, pnode,
+ * vnode, data} of each as a line of JSON, in order. The keys are looked up
+ * BATCH_SIZE at a time with getNodeMulti().
+ */
+function getNodeBatch(opts, log, callback) {
+    if (opts.b === BACKENDS.IN_MEMORY && !opts.l) {
+        var err = new verror.VError('--batch reads keys from stdin, so the ' +
+                                    'ring requires a location');
+        console.error(err);
+        return (callback(err));
+    }
+
+    vasync.pipeline({funcs: [
+        function load(_, cb) {
+            loadRing(opts, log, function (err, hash) {
+                _.hash = hash;
+                return cb(err);
+            });
+        },
+        function readKeys(_, cb) {
+            var input = '';
+            process.stdin.resume();
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', function (chunk) {
+                input += chunk;
+            });
+            process.stdin.on('end', function () {
+                _.keys = input.split('\n').map(function (key) {
+                    return (key.replace(/\r$/, ''));
+                }).filter(function (key) {
+                    return (key.length > 0);
+                });
+                return cb();
+            });
+        },
+        function getNodes(_, cb) {
+            var batches = [];
+            for (var i = 0; i < _.keys.length; i += BATCH_SIZE) {
+                batches.push(_.keys.slice(i, i + BATCH_SIZE));
+            }
+            vasync.pipeline({funcs: batches.map(function (keys) {
+                return function (arg, _cb) {
+                    _.hash.getNodeMulti(keys, function (err, nodes) {
+                        if (err) {
+                            return _cb(err);
+                        }
+                        var out = nodes.map(function (node, j) {
+                            return (JSON.stringify({
+                                key: keys[j],
+                                pnode: node.pnode,
+                                vnode: node.vnode,
+                                data: node.data
+                            }) + '\n');
+                        }).join('');
+                        // wait for the write, main() exits once we're done.
+                        process.stdout.write(out, function () {
+                            return _cb();
+                        });
+                        return (undefined);
+                    });
+                };
+            })}, cb);
+        }
+    ], arg: {}}, function (_err) {
+        if (_err) {
+            console.error(_err);
+        }
+        return callback(_err);
+    });
+
+    return (undefined);
+}
+
+/**
+ * Returns a batch hook for fash.applyPlan() that runs a shell command, with
+ * the batch as JSON on its stdin. The hook fails if the command exits
+ * non-zero.
+ *
+ * @param {String} cmd The shell command.
+ * @return {function} the hook f(batch, cb).
+ */
+function commandHook(cmd) {
+    return function (batch, cb) {
+        var child = child_process.spawn('/bin/sh', ['-c', cmd], {
+            stdio: ['pipe', process.stderr, process.stderr]
+        });
+        child.on('error', cb);
+        child.on('exit', function (code, signal) {
+            if (code !== 0) {
+                return cb(new verror.VError('command "%s" exited with %s',
+                                            cmd, signal || code));
+            }
+            return cb();
+        });
+        // the command may exit without reading the batch.
+        child.stdin.on('error', function () {});
+        child.stdin.end(JSON.stringify(batch));
+    };
+}
+
 Fash.prototype.do_create = function (subcmd, opts, args, callback) {
     var self = this;
 
@@ -57,6 +343,46 @@ Fash.prototype.do_create = function (subcmd, opts, args, callback) {
             pnodes.splice(i, 1);
         }
     }
+    if (opts.d || opts.w) {
+        var domains;
+        var weights;
+        try {
+            domains = parsePairs(opts.d || '');
+            weights = parsePairs(opts.w || '');
+        } catch (e) {
+            console.error(e);
+            return callback(e);
+        }
+        var unknown = Object.keys(domains).concat(Object.keys(weights))
+            .filter(function (pnode) {
+            return (pnodes.indexOf(pnode) === -1);
+        });
+        if (unknown.length) {
+            var err = new verror.VError('domains or weights given for ' +
+                                        'unknown pnodes %s',
+                                        unknown.join(', '));
+            console.error(err);
+            return callback(err);
+        }
+        var invalid = Object.keys(weights).filter(function (pnode) {
+            return (!(Number(weights[pnode]) > 0));
+        });
+        if (invalid.length) {
+            var wErr = new verror.VError('weights must be positive numbers, ' +
+                                         'invalid for pnodes %s',
+                                         invalid.join(', '));
+            console.error(wErr);
+            return callback(wErr);
+        }
+        pnodes = pnodes.map(function (pnode) {
+            var weight = weights[pnode];
+            return ({
+                name: pnode,
+                domain: domains[pnode],
+                weight: weight === undefined ? undefined : Number(weight)
+            });
+        });
+    }
     switch (opts.b) {
         case BACKENDS.IN_MEMORY:
             opts.b = fash.BACKEND.IN_MEMORY;
@@ -107,10 +433,22 @@ Fash.prototype.do_create.options = [ {
     names: [ 'p', 'pnode' ],
     type: 'string',
     help: 'physical node names'
+}, {
+    names: [ 'd', 'domain' ],
+    type: 'string',
+    help: 'the (optional) failure domains of the pnodes, e.g. ' +
+          '\'A=zone1 B=zone1 C=zone2\''
+}, {
+    names: [ 'w', 'weight' ],
+    type: 'string',
+    help: 'the (optional) weights of the pnodes, vnodes are split in ' +
+          'proportion to weight, e.g. \'A=2 B=1\', unweighted pnodes ' +
+          'default to 1'
 }, {
     names: [ 'a', 'algorithm' ],
     type: 'string',
-    help: 'the algorithm to use'
+    help: 'the algorithm to use, one of sha256, sha1, md5, murmur3_32, \n' +
+          'murmur3_128, xxhash64 or fnv1a. defaults to sha256'
 }, {
     names: [ 'b', 'backend' ],
     type: 'string',
@@ -201,100 +539,43 @@ Fash.prototype.do_deserialize_ring.help = (
 
 Fash.prototype.do_add_data = function (subcmd, opts, args, callback) {
     var self = this;
-
-    if (opts.help || args.length !== 0 || !opts.v || !opts.d || !opts.b) {
+    if (opts.help || !opts.b || !opts.v || !opts.d || args.length !== 0) {
         this.do_help('help', {}, [subcmd], function (err) {
             return callback(err ? err : true);
         });
+        return (undefined);
     }
 
-    if (opts.b !== BACKENDS.IN_MEMORY && opts.b !== BACKENDS.LEVEL_DB) {
-        console.error(sprintf('backend must be one of %s or %s',
-                              BACKENDS.IN_MEMORY,
-                              BACKENDS.LEVEL_DB));
-        return callback(new Error());
-    }
-
-    var hashOptions = {
-        log: self.log
-    };
     var hash;
-    var constructor;
-
     vasync.pipeline({funcs: [
-        function prepInput(_, cb) {
-            if (opts.b === BACKENDS.IN_MEMORY) {
-                hashOptions.backend = fash.BACKEND.IN_MEMORY;
-                constructor = fash.deserialize;
-                if (opts.l) {
-                    hashOptions.topology = fs.readFileSync(opts.l, 'utf8');
-                    return cb();
-                } else {
-                    hashOptions.topology = '';
-                    process.stdin.resume();
-                    process.stdin.setEncoding('utf8');
-
-                    process.stdin.on('data', function (chunk) {
-                        hashOptions.topology += chunk;
-                    });
-
-                    process.stdin.on('end', function () {
-                        return cb();
-                    });
-                }
-            } else if (opts.b === BACKENDS.LEVEL_DB) {
-                hashOptions.backend = fash.BACKEND.LEVEL_DB;
-                constructor = fash.load;
-                if (!opts.l) {
-                    console.error('leveldb backend requires a location');
-                    this.do_help('help', {}, [subcmd], function (err) {
-                        return callback(err ? err : true);
-                    });
-                } else {
-                    hashOptions.location = opts.l;
-                    return cb();
-                }
-            }
-            return (undefined);
-        },
-        function loadRing(_, cb) {
-            hash = constructor(hashOptions, cb);
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
         },
         function addData(_, cb) {
-            var count = 0;
-            var vnodes = opts.v.split(' ');
-            for (var i = 0; i < vnodes.length; i++) {
-                var v = vnodes[i];
-                if (!v || v === '') {
-                    vnodes.splice(i, 1);
-                }
-            }
-            hash.addData(parseInt(vnodes[count], 10), opts.d, addDataCb);
-            function addDataCb(err) {
-                if (err) {
-                    return cb(err);
-                }
-                if (++count === vnodes.length) {
-                    return cb();
-                } else {
-                    hash.addData(parseInt(vnodes[count], 10),
-                                 opts.d, addDataCb);
-                }
-                return (undefined);
+            var vnodes;
+            try {
+                vnodes = parseVnodes(opts.v);
+            } catch (e) {
+                return cb(e);
             }
+            hash.addData(vnodes, opts.d, {expectedGeneration: opts.g}, cb);
             return (undefined);
         },
         function printRing(_, cb) {
+            if (!opts.o) {
+                return cb();
+            }
             hash.serialize(function (_err, sh) {
                 if (_err) {
-                    return cb(new verror.VError(_err,
-                                                'unable to print hash'));
-                }
-                if (opts.o) {
-                    console.log(sh);
+                    return cb(new verror.VError(_err, 'unable to print hash'));
                 }
+                console.log(sh);
                 return cb();
             });
+            return (undefined);
         }
     ], arg: {}}, function (err) {
         if (err) {
@@ -302,16 +583,23 @@ Fash.prototype.do_add_data = function (subcmd, opts, args, callback) {
         }
         return callback(err);
     });
+
     return (undefined);
 };
 Fash.prototype.do_add_data.options = [ {
     names: [ 'v', 'vnode' ],
     type: 'string',
-    help: 'the vnode(s) to add the data to'
+    help: 'the vnode(s) to add the data to, a list of vnodes and inclusive \n' +
+          'ranges separated by spaces or commas, e.g. \'1 2 10-20,30\''
 }, {
     names: [ 'd', 'data' ],
     type: 'string',
-    help: 'the data to add, optional, if empty, removes data from the node'
+    help: 'the data to add, see remove-data to remove it'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
 }, {
     names: [ 'b', 'backend' ],
     type: 'string',
@@ -328,7 +616,7 @@ Fash.prototype.do_add_data.options = [ {
     help: 'serialize and print out the resulting hash to stdout'
 }];
 Fash.prototype.do_add_data.help = (
-    'add data to a vnode.\n'
+    'add data to vnodes, as one change.\n'
     + '\n'
     + 'usage:\n'
     + '     fash add_data [options] \n'
@@ -336,101 +624,45 @@ Fash.prototype.do_add_data.help = (
     + '{{options}}'
 );
 
-Fash.prototype.do_remap_vnode = function (subcmd, opts, args, callback) {
+Fash.prototype.do_remove_data = function (subcmd, opts, args, callback) {
     var self = this;
-
-    if (opts.help || args.length !== 0 || !opts.v || !opts.p || !opts.b) {
+    if (opts.help || !opts.b || !opts.v || args.length !== 0) {
         this.do_help('help', {}, [subcmd], function (err) {
             return callback(err ? err : true);
         });
+        return (undefined);
     }
 
-    if (opts.b !== BACKENDS.IN_MEMORY && opts.b !== BACKENDS.LEVEL_DB) {
-        console.error(sprintf('backend must be one of %s or %s',
-                              BACKENDS.IN_MEMORY,
-                              BACKENDS.LEVEL_DB));
-        return callback(new Error());
-    }
-
-    var hashOptions = {
-        log: self.log
-    };
     var hash;
-    var constructor;
-
     vasync.pipeline({funcs: [
-        function prepInput(_, cb) {
-            if (opts.b === BACKENDS.IN_MEMORY) {
-                hashOptions.backend = fash.BACKEND.IN_MEMORY;
-                constructor = fash.deserialize;
-                if (opts.l) {
-                    hashOptions.topology = fs.readFileSync(opts.l, 'utf8');
-                    return cb();
-                } else {
-                    hashOptions.topology = '';
-                    process.stdin.resume();
-                    process.stdin.setEncoding('utf8');
-
-                    process.stdin.on('data', function (chunk) {
-                        hashOptions.topology += chunk;
-                    });
-
-                    process.stdin.on('end', function () {
-                        return cb();
-                    });
-                }
-            } else if (opts.b === BACKENDS.LEVEL_DB) {
-                hashOptions.backend = fash.BACKEND.LEVEL_DB;
-                constructor = fash.load;
-                if (!opts.l) {
-                    console.error('leveldb backend requires a location');
-                    this.do_help('help', {}, [subcmd], function (err) {
-                        return callback(err ? err : true);
-                    });
-                } else {
-                    hashOptions.location = opts.l;
-                    return cb();
-                }
-            }
-            return (undefined);
-        },
-        function loadRing(_, cb) {
-            hash = constructor(hashOptions, cb);
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
         },
-        function remap(_, cb) {
-            var count = 0;
-            var vnodes = opts.v.split(' ');
-            for (var i = 0; i < vnodes.length; i++) {
-                var v = vnodes[i];
-                if (!v || v === '') {
-                    vnodes.splice(i, 1);
-                }
-            }
-            hash.remapVnode(opts.p, parseInt(vnodes[count], 10), remapCb);
-            function remapCb(err) {
-                if (err) {
-                    return cb(err);
-                }
-                if (++count === vnodes.length) {
-                    return cb();
-                } else {
-                    hash.remapVnode(opts.p, parseInt(vnodes[count], 10),
-                                    remapCb);
-                }
-                return (undefined);
+        function removeData(_, cb) {
+            var vnodes;
+            try {
+                vnodes = parseVnodes(opts.v);
+            } catch (e) {
+                return cb(e);
             }
+            hash.removeData(vnodes, {expectedGeneration: opts.g}, cb);
+            return (undefined);
         },
         function printRing(_, cb) {
+            if (!opts.o) {
+                return cb();
+            }
             hash.serialize(function (_err, sh) {
                 if (_err) {
-                    return cb(new verror.VError(_err,
-                                                'unable to print hash'));
-                }
-                if (opts.o) {
-                    console.log(sh);
+                    return cb(new verror.VError(_err, 'unable to print hash'));
                 }
+                console.log(sh);
                 return cb();
             });
+            return (undefined);
         }
     ], arg: {}}, function (err) {
         if (err) {
@@ -438,12 +670,99 @@ Fash.prototype.do_remap_vnode = function (subcmd, opts, args, callback) {
         }
         return callback(err);
     });
+
     return (undefined);
 };
-Fash.prototype.do_remap_vnode.options = [ {
+Fash.prototype.do_remove_data.options = [ {
     names: [ 'v', 'vnode' ],
     type: 'string',
-    help: 'the vnode(s) to remap'
+    help: 'the vnode(s) to remove the data of, a list of vnodes and \n' +
+          'inclusive ranges separated by spaces or commas, e.g. \n' +
+          '\'1 2 10-20,30\''
+}, {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
+}, {
+    names: [ 'o', 'output' ],
+    type: 'bool',
+    help: 'serialize and print out the resulting hash to stdout'
+}];
+Fash.prototype.do_remove_data.help = (
+    'remove the data of vnodes, as one change. vnodes without data are \n'
+    + 'left alone.\n'
+    + '\n'
+    + 'usage:\n'
+    + '     fash remove-data [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_remap_vnode = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || !opts.v || !opts.p || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var hash;
+    vasync.pipeline({funcs: [
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
+        },
+        function remap(_, cb) {
+            var vnodes;
+            try {
+                vnodes = parseVnodes(opts.v);
+            } catch (e) {
+                return cb(e);
+            }
+            hash.remapVnode(opts.p, vnodes, {expectedGeneration: opts.g}, cb);
+            return (undefined);
+        },
+        function printRing(_, cb) {
+            if (!opts.o) {
+                return cb();
+            }
+            hash.serialize(function (_err, sh) {
+                if (_err) {
+                    return cb(new verror.VError(_err, 'unable to print hash'));
+                }
+                console.log(sh);
+                return cb();
+            });
+            return (undefined);
+        }
+    ], arg: {}}, function (err) {
+        if (err) {
+            console.error(err);
+        }
+        return callback(err);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_remap_vnode.options = [ {
+    names: [ 'v', 'vnode' ],
+    type: 'string',
+    help: 'the vnode(s) to remap, a list of vnodes and inclusive ranges \n' +
+          'separated by spaces or commas, e.g. \'1 2 10-20,30\''
 }, {
     names: [ 'b', 'backend' ],
     type: 'string',
@@ -452,6 +771,11 @@ Fash.prototype.do_remap_vnode.options = [ {
     names: [ 'p', 'pnode' ],
     type: 'string',
     help: 'the pnode to remap the vnode(s) to'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
 }, {
     names: [ 'l', 'location' ],
     type: 'string',
@@ -472,6 +796,105 @@ Fash.prototype.do_remap_vnode.help = (
     + '{{options}}'
 );
 
+Fash.prototype.do_add_pnode = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || args.length !== 0 || !opts.p || !opts.b) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var hash;
+    vasync.pipeline({funcs: [
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
+        },
+        function add(_, cb) {
+            var addOpts = {};
+            if (opts.d) {
+                addOpts.domain = opts.d;
+            }
+            if (opts.n !== undefined) {
+                addOpts.vnodes = opts.n;
+            }
+            if (opts.g !== undefined) {
+                addOpts.expectedGeneration = opts.g;
+            }
+            hash.addPnode(opts.p, addOpts, function (err, moved) {
+                _.moved = moved;
+                return cb(err);
+            });
+        },
+        function printResult(_, cb) {
+            if (!opts.o) {
+                console.log(JSON.stringify(_.moved));
+                return cb();
+            }
+            hash.serialize(function (_err, sh) {
+                if (_err) {
+                    return cb(new verror.VError(_err, 'unable to print hash'));
+                }
+                console.log(sh);
+                return cb();
+            });
+            return (undefined);
+        }
+    ], arg: {}}, function (err) {
+        if (err) {
+            console.error(err);
+        }
+        return callback(err);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_add_pnode.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'p', 'pnode' ],
+    type: 'string',
+    help: 'the pnode to add'
+}, {
+    names: [ 'd', 'domain' ],
+    type: 'string',
+    help: 'the failure domain of the new pnode'
+}, {
+    names: [ 'n', 'vnodes' ],
+    type: 'positiveInteger',
+    help: 'the number of vnodes to move to the new pnode, defaults to an \n' +
+          'even share of the ring'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'o', 'output' ],
+    type: 'bool',
+    help: 'serialize and print out the resulting hash to stdout, instead \n' +
+          'of the list of moved vnodes'
+}];
+Fash.prototype.do_add_pnode.help = (
+    'add a pnode and move an even share of the vnodes to it'
+    + '\n'
+    + 'usage:\n'
+    + '     fash add-pnode [options] \n'
+    + '\n'
+    + '{{options}}'
+);
+
 Fash.prototype.do_remove_pnode = function (subcmd, opts, args, callback) {
     var self = this;
 
@@ -534,7 +957,7 @@ Fash.prototype.do_remove_pnode = function (subcmd, opts, args, callback) {
             hash = constructor(hashOptions, cb);
         },
         function remove(_, cb) {
-            hash.removePnode(opts.p, cb);
+            hash.removePnode(opts.p, {expectedGeneration: opts.g}, cb);
         },
         function printRing(_, cb) {
             hash.serialize(function (_err, sh) {
@@ -566,6 +989,11 @@ Fash.prototype.do_remove_pnode.options = [ {
     names: [ 'p', 'pnode' ],
     type: 'string',
     help: 'the pnode to remap the vnode(s) to'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
 }, {
     names: [ 'b', 'backend' ],
     type: 'string',
@@ -784,7 +1212,7 @@ Fash.prototype.do_get_vnodes.help = (
 
 Fash.prototype.do_get_node = function (subcmd, opts, args, callback) {
     var self = this;
-    if (opts.help || !opts.b || args.length !== 1) {
+    if (opts.help || !opts.b || args.length !== (opts.batch ? 0 : 1)) {
         this.do_help('help', {}, [subcmd], function (err) {
             return callback(err ? err : true);
         });
@@ -797,6 +1225,10 @@ Fash.prototype.do_get_node = function (subcmd, opts, args, callback) {
         return callback(new Error());
     }
 
+    if (opts.batch) {
+        return (getNodeBatch(opts, self.log, callback));
+    }
+
     var hashOptions = {
         log: self.log
     };
@@ -870,12 +1302,799 @@ Fash.prototype.do_get_node.options = [ {
     names: [ 'b', 'backend' ],
     type: 'string',
     help: 'the backend to use'
+}, {
+    names: [ 'batch' ],
+    type: 'bool',
+    help: 'read newline separated values from stdin, and print the node of \n' +
+          'each as a line of JSON, in order.'
 }];
 Fash.prototype.do_get_node.help = (
     'hash a value to its spot on the ring'
     + '\n'
     + 'usage:\n'
     + '     fash get_node [options] value\n'
+    + '     fash get_node [options] --batch < values\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_get_nodes = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || !opts.n || args.length !== 1) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.getNodes(args[0], opts.n, function (_err, nodes) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            console.log(JSON.stringify(nodes));
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_get_nodes.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'n' ],
+    type: 'positiveInteger',
+    help: 'the number of distinct pnodes to return'
+}];
+Fash.prototype.do_get_nodes.help = (
+    'get the ordered list of n distinct pnodes a value maps to'
+    + '\n'
+    + 'usage:\n'
+    + '     fash get-nodes [options] value\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_get_ranges = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0 ||
+        (opts.p === undefined) === (opts.v === undefined)) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        function print(_err, ranges) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            ranges.forEach(function (range) {
+                console.log(JSON.stringify(range));
+            });
+            return callback();
+        }
+        if (opts.p !== undefined) {
+            hash.getPnodeRanges(opts.p, print);
+        } else {
+            hash.getVnodeRange(opts.v, function (_err, range) {
+                return print(_err, [range]);
+            });
+        }
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_get_ranges.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'p', 'pnode' ],
+    type: 'string',
+    help: 'print the ranges of hashes owned by the pnode'
+}, {
+    names: [ 'v', 'vnode' ],
+    type: 'integer',
+    help: 'print the range of hashes owned by the vnode'
+}];
+Fash.prototype.do_get_ranges.help = (
+    'print the ranges of hashes owned by a pnode or a vnode, one JSON \n'
+    + 'range of {start, end} per line. The bounds are inclusive, in hex. \n'
+    + 'The ranges of adjacent vnodes of a pnode are merged.'
+    + '\n'
+    + 'usage:\n'
+    + '     fash get-ranges [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_find_vnodes = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var options = {pnode: opts.p};
+    var matches;
+    try {
+        if (opts.d !== undefined) {
+            options.data = JSON.parse(opts.d);
+        }
+        matches = (opts.m || []).map(parseMatch);
+    } catch (e) {
+        console.error(new verror.VError(e, 'invalid match'));
+        return callback(e);
+    }
+    if (matches.length > 0) {
+        options.predicate = function (node) {
+            return (matches.every(function (match) {
+                return (match(node.data));
+            }));
+        };
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.findVnodes(options, function (_err, nodes) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            nodes.forEach(function (node) {
+                console.log(JSON.stringify(node));
+            });
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_find_vnodes.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'p', 'pnode' ],
+    type: 'string',
+    help: 'only find the vnodes of this pnode'
+}, {
+    names: [ 'd', 'data' ],
+    type: 'string',
+    help: 'only find the vnodes with this data, as JSON, e.g. \'"ro"\', or \n' +
+          '\'null\' for vnodes without data'
+}, {
+    names: [ 'm', 'match' ],
+    type: 'arrayOfString',
+    help: 'only find the vnodes whose data matches, e.g. \n' +
+          '\'state=readonly\', \'$.meta.hosts[0]="A"\', or a path on its \n' +
+          'own, which only has to exist. the value is JSON if it parses \n' +
+          'as JSON, and a string otherwise. may be given more than once, \n' +
+          'in which case every match has to match'
+}];
+Fash.prototype.do_find_vnodes.help = (
+    'find the vnodes of a pnode, with some data, or whose data matches, \n'
+    + 'one JSON {vnode, pnode, data} per line, in order of vnode.\n'
+    + '\n'
+    + 'usage:\n'
+    + '     fash find-vnodes [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_stats = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.stats(function (_err, stats) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            if (opts.j) {
+                console.log(JSON.stringify(stats));
+                return callback();
+            }
+            var rows = [['PNODE', 'VNODES', 'SHARE', 'RUNS', 'DATA']];
+            stats.pnodes.forEach(function (p) {
+                rows.push([p.pnode, p.vnodes, p.share.toFixed(2) + '%',
+                          p.runs, p.dataVnodes]);
+            });
+            console.log(formatTable(rows));
+            var imbalance = stats.imbalance;
+            function fixed(n) {
+                return (n === null ? '-' : n.toFixed(2));
+            }
+            console.log(sprintf('\nvnodes: %d, pnodes: %d, min: %s, max: %s, ' +
+                                'mean: %s, stddev: %s, max/min: %s',
+                                stats.vnodes, stats.pnodes.length,
+                                imbalance.min === null ? '-' : imbalance.min,
+                                imbalance.max === null ? '-' : imbalance.max,
+                                fixed(imbalance.mean), fixed(imbalance.stddev),
+                                fixed(imbalance.ratio)));
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_stats.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'j', 'json' ],
+    type: 'bool',
+    help: 'print the stats as JSON instead of a table'
+}];
+Fash.prototype.do_stats.help = (
+    'print the ownership statistics of the ring: the vnodes, share of the \n'
+    + 'hashspace, runs of adjacent vnodes and vnodes with data of each \n'
+    + 'pnode, and the imbalance of the ring.'
+    + '\n'
+    + 'usage:\n'
+    + '     fash stats [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_rebalance = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0 || (!opts.w === !opts.P)) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var target;
+    try {
+        target = parsePairs(opts.w || opts.P);
+    } catch (e) {
+        console.error(e);
+        return callback(e);
+    }
+    Object.keys(target).forEach(function (pnode) {
+        target[pnode] = Number(target[pnode]);
+    });
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        fash.planRebalance({
+            ring: hash,
+            weights: opts.w ? target : undefined,
+            percentages: opts.P ? target : undefined
+        }, function (_err, plan) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            console.log(JSON.stringify(plan));
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_rebalance.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'w', 'weight' ],
+    type: 'string',
+    help: 'the target weights of the pnodes, e.g. \'A=2 B=1 C=1\'. pnodes \n' +
+          'in the ring that are not listed are drained'
+}, {
+    names: [ 'P', 'percentage' ],
+    type: 'string',
+    help: 'the target percentages of the pnodes, which must add up to \n' +
+          '100, e.g. \'A=50 B=25 C=25\''
+}];
+Fash.prototype.do_rebalance.help = (
+    'print the plan of vnode moves that brings the ring to a target \n'
+    + 'ownership, as JSON. exactly one of -w or -P must be specified.\n'
+    + '\n'
+    + 'usage:\n'
+    + '     fash rebalance [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_apply_plan = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || !opts.l || !opts.f || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(opts.f, 'utf8'));
+    } catch (e) {
+        var err = new verror.VError(e, 'unable to read plan %s', opts.f);
+        console.error(err);
+        return callback(err);
+    }
+
+    var hash;
+    vasync.pipeline({funcs: [
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
+        },
+        function applyPlan(_, cb) {
+            var after = opts.after_batch ? commandHook(opts.after_batch) :
+                null;
+            fash.applyPlan({
+                ring: hash,
+                plan: plan,
+                batchSize: opts.s,
+                checkpoint: opts.c,
+                beforeBatch: opts.before_batch ?
+                    commandHook(opts.before_batch) : undefined,
+                afterBatch: function (batch, _cb) {
+                    // the in_memory ring only lives in this process, so
+                    // write it back to disk before the batch is checkpointed.
+                    saveRing(function (err) {
+                        if (err || !after) {
+                            return _cb(err);
+                        }
+                        return after(batch, _cb);
+                    });
+                }
+            }, function (err, result) {
+                if (result) {
+                    console.error(sprintf('applied %d of %d moves',
+                                          result.applied, result.total));
+                }
+                return cb(err);
+            });
+        }
+    ], arg: {}}, function (err) {
+        if (err) {
+            console.error(err);
+        }
+        return callback(err);
+    });
+
+    function saveRing(cb) {
+        if (opts.b !== BACKENDS.IN_MEMORY) {
+            return cb();
+        }
+        hash.serialize(function (err, sh) {
+            if (err) {
+                return cb(new verror.VError(err, 'unable to serialize hash'));
+            }
+            var tmp = opts.l + '.tmp';
+            fs.writeFile(tmp, sh, function (_err) {
+                if (_err) {
+                    return cb(new verror.VError(_err, 'unable to write hash'));
+                }
+                fs.rename(tmp, opts.l, function (__err) {
+                    if (__err) {
+                        __err = new verror.VError(__err, 'unable to write ' +
+                                                  'hash');
+                    }
+                    return cb(__err);
+                });
+                return (undefined);
+            });
+            return (undefined);
+        });
+        return (undefined);
+    }
+
+    return (undefined);
+};
+Fash.prototype.do_apply_plan.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, which is \n' +
+          'updated in place after each batch, if using the leveldb \n' +
+          'backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 'f', 'file' ],
+    type: 'string',
+    help: 'the plan to apply, as printed by fash rebalance'
+}, {
+    names: [ 's', 'batch-size' ],
+    type: 'positiveInteger',
+    help: 'the number of moves per batch, defaults to 100'
+}, {
+    names: [ 'c', 'checkpoint' ],
+    type: 'string',
+    help: 'the checkpoint file, an interrupted run resumes from it when \n' +
+          'it is started again'
+}, {
+    names: [ 'before-batch' ],
+    type: 'string',
+    help: 'the shell command to run before each batch is remapped, with \n' +
+          'the batch as JSON on stdin. a non-zero exit stops the run'
+}, {
+    names: [ 'after-batch' ],
+    type: 'string',
+    help: 'the shell command to run after each batch is remapped, with \n' +
+          'the batch as JSON on stdin. a non-zero exit stops the run'
+}];
+Fash.prototype.do_apply_plan.help = (
+    'apply a vnode move plan to the ring in batches'
+    + '\n'
+    + 'usage:\n'
+    + '     fash apply-plan [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_fingerprint = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.fingerprint(function (_err, fingerprint) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            console.log(fingerprint);
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_fingerprint.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}];
+Fash.prototype.do_fingerprint.help = (
+    'print the fingerprint of the ring, a digest of the pnode and data of \n'
+    + 'every vnode. Rings that map keys the same way have the same \n'
+    + 'fingerprint, whatever their backend.'
+    + '\n'
+    + 'usage:\n'
+    + '     fash fingerprint [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_verify = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.verify(function (_err, problems) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            problems.forEach(function (problem) {
+                console.log(JSON.stringify(problem));
+            });
+            if (problems.length > 0) {
+                return callback(new verror.VError('found %d problems in ring',
+                                                  problems.length));
+            }
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_verify.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}];
+Fash.prototype.do_verify.help = (
+    'check the integrity of the ring, and print one JSON problem of \n'
+    + '{code, message, pnode, vnode} per line. Exits non-zero if any \n'
+    + 'problems are found.'
+    + '\n'
+    + 'usage:\n'
+    + '     fash verify [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_repair = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.l || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var repairOpts = {dryRun: !!opts.n};
+    if (opts.f) {
+        try {
+            repairOpts.topology = fs.readFileSync(opts.f, 'utf8');
+        } catch (e) {
+            var err = new verror.VError(e, 'unable to read topology %s',
+                                        opts.f);
+            console.error(err);
+            return callback(err);
+        }
+    }
+
+    loadRing({b: BACKENDS.LEVEL_DB, l: opts.l}, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.repair(repairOpts, function (_err, fixes) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            fixes.forEach(function (fix) {
+                console.log(JSON.stringify(fix));
+            });
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_repair.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the path to the leveldb on disk'
+}, {
+    names: [ 'f', 'file' ],
+    type: 'string',
+    help: 'the optional location of a serialized topology to repair the \n' +
+          'ring from, instead of from the /VNODE keys'
+}, {
+    names: [ 'n', 'dry-run' ],
+    type: 'bool',
+    help: 'print the fixes without making them'
+}];
+Fash.prototype.do_repair.help = (
+    'repair an inconsistent leveldb ring by rebuilding its keys from the \n'
+    + '/VNODE keys, or from a serialized topology. Prints one JSON fix of \n'
+    + '{type, key, value, message} per line.'
+    + '\n'
+    + 'usage:\n'
+    + '     fash repair [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_history = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    loadRing(opts, self.log, function (err, hash) {
+        if (err) {
+            console.error(err);
+            return callback(err);
+        }
+        hash.history(function (_err, history) {
+            if (_err) {
+                console.error(_err);
+                return callback(_err);
+            }
+            history.forEach(function (entry) {
+                console.log(JSON.stringify(entry));
+            });
+            return callback();
+        });
+        return (undefined);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_history.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}];
+Fash.prototype.do_history.help = (
+    'print the history of the changes made to the ring, oldest first, one \n'
+    + 'JSON entry of {generation, ops, undo} per line'
+    + '\n'
+    + 'usage:\n'
+    + '     fash history [options]\n'
+    + '\n'
+    + '{{options}}'
+);
+
+Fash.prototype.do_revert = function (subcmd, opts, args, callback) {
+    var self = this;
+    if (opts.help || !opts.b || opts.t === undefined || args.length !== 0) {
+        this.do_help('help', {}, [subcmd], function (err) {
+            return callback(err ? err : true);
+        });
+        return (undefined);
+    }
+
+    var hash;
+    vasync.pipeline({funcs: [
+        function load(_, cb) {
+            loadRing(opts, self.log, function (err, h) {
+                hash = h;
+                return cb(err);
+            });
+        },
+        function revert(_, cb) {
+            hash.revertTo(opts.t, {expectedGeneration: opts.g}, cb);
+        },
+        function printRing(_, cb) {
+            if (!opts.o) {
+                return cb();
+            }
+            hash.serialize(function (_err, sh) {
+                if (_err) {
+                    return cb(new verror.VError(_err, 'unable to print hash'));
+                }
+                console.log(sh);
+                return cb();
+            });
+            return (undefined);
+        }
+    ], arg: {}}, function (err) {
+        if (err) {
+            console.error(err);
+        }
+        return callback(err);
+    });
+
+    return (undefined);
+};
+Fash.prototype.do_revert.options = [ {
+    names: [ 'l', 'location' ],
+    type: 'string',
+    help: 'the location of the topology, if using the in_memory backend, \n' +
+          'this is the location of the serialized ring on disk, if using \n ' +
+          'the leveldb backend, this is the path to the levedb on disk.'
+}, {
+    names: [ 'b', 'backend' ],
+    type: 'string',
+    help: 'the backend to use'
+}, {
+    names: [ 't', 'to' ],
+    type: 'integer',
+    help: 'the generation to revert the ring to'
+}, {
+    names: [ 'g', 'expected-generation' ],
+    type: 'integer',
+    help: 'fail unless the ring is at this generation, i.e. nobody else \n' +
+          'has changed it since'
+}, {
+    names: [ 'o', 'output' ],
+    type: 'bool',
+    help: 'serialize and print out the resulting hash to stdout'
+}];
+Fash.prototype.do_revert.help = (
+    'revert the ring to an earlier generation by undoing every change made \n'
+    + 'since. the revert is itself recorded in the history as a new \n'
+    + 'generation.\n'
+    + '\n'
+    + 'usage:\n'
+    + '     fash revert [options]\n'
     + '\n'
     + '{{options}}'
 );
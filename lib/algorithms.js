@@ -0,0 +1,456 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var verror = require('verror');
+
+/**
+ * Pure JavaScript implementations of non-cryptographic hash functions, which
+ * are much cheaper than a cryptographic digest when all that is needed is to
+ * spread keys evenly over the ring. Each function takes a key, as a String or
+ * a Buffer, hashes its utf8 bytes with a seed of 0, and returns the hash as
+ * lower case hex padded to the size of the hash.
+ *
+ * JavaScript numbers only hold 53 bits exactly, so 64 bit arithmetic is done
+ * on arrays of [hi, lo] unsigned 32 bit halves.
+ */
+
+/**
+ * Map of {algorithm name -> hash function}. Algorithms that aren't in here are
+ * digested with crypto.createHash().
+ */
+var HASHES = {
+    fnv1a: fnv1a,
+    murmur3_32: murmur3_32,
+    murmur3_128: murmur3_128,
+    xxhash64: xxhash64
+};
+
+/**
+ * Map of {algorithm name -> {MAX, hash}} of the algorithms supplied by users,
+ * see register().
+ */
+var REGISTERED = {};
+
+/**
+ * Hashes a key with an algorithm.
+ *
+ * @param {String} name The name of the algorithm, e.g. sha256 or xxhash64.
+ * @param {String || Buffer} key The key.
+ * @return {String} the hash, in hex.
+ */
+function digest(name, key) {
+    if (HASHES.hasOwnProperty(name)) {
+        return (HASHES[name](key));
+    }
+    if (REGISTERED.hasOwnProperty(name)) {
+        var hash = REGISTERED[name].hash(key);
+        if (Buffer.isBuffer(hash)) {
+            hash = hash.toString('hex');
+        }
+        return (hash.toLowerCase());
+    }
+    return (crypto.createHash(name).update(key).digest('hex'));
+}
+
+/**
+ * Registers a user supplied algorithm, so rings can be created with it, and
+ * rings that use it can be deserialized and loaded. The hash function takes
+ * a key, as a String, and returns its hash as hex or as a Buffer. The hash
+ * must not be greater than the max. Registering the same algorithm again is a
+ * no-op.
+ *
+ * @param {String} name The name of the algorithm.
+ * @param {Object} impl The algorithm.
+ * @param {String} impl.MAX The max value of the hash, in hex.
+ * @param {function} impl.hash The hash function f(key).
+ * @throws {VError} if the name is taken by a built in algorithm, or by a
+ *                  different registered algorithm.
+ */
+function register(name, impl) {
+    assert.string(name, 'name');
+    assert.object(impl, 'impl');
+    assert.string(impl.MAX, 'impl.MAX');
+    assert.func(impl.hash, 'impl.hash');
+    if (!/^[0-9a-fA-F]+$/.test(impl.MAX)) {
+        throw new verror.VError('max of algorithm %s is not hex: %s', name,
+                                impl.MAX);
+    }
+    if (HASHES.hasOwnProperty(name) ||
+        crypto.getHashes().indexOf(name) !== -1) {
+        throw new verror.VError('algorithm %s is built in, and can\'t be ' +
+                                'registered', name);
+    }
+    var registered = REGISTERED[name];
+    if (registered && (registered.hash !== impl.hash ||
+                       registered.MAX !== impl.MAX)) {
+        throw new verror.VError('a different algorithm %s is already ' +
+                                'registered', name);
+    }
+    REGISTERED[name] = {MAX: impl.MAX, hash: impl.hash};
+}
+
+/**
+ * Gets a registered algorithm.
+ *
+ * @param {String} name The name of the algorithm.
+ * @return {Object} the {NAME, MAX} of the algorithm, or undefined if it isn't
+ *                  registered.
+ */
+function getRegistered(name) {
+    if (!REGISTERED.hasOwnProperty(name)) {
+        return (undefined);
+    }
+    return ({NAME: name, MAX: REGISTERED[name].MAX});
+}
+
+/**
+ * Checks that the algorithm of a ring can be used to hash keys: that it is
+ * built in, or registered with the same max.
+ *
+ * @param {Object} algorithm The {NAME, MAX} of the algorithm of the ring.
+ * @throws {VError} if the algorithm can't be used.
+ */
+function assertSupported(algorithm) {
+    assert.object(algorithm, 'algorithm');
+    assert.string(algorithm.NAME, 'algorithm.NAME');
+    var name = algorithm.NAME;
+    if (HASHES.hasOwnProperty(name) ||
+        crypto.getHashes().indexOf(name) !== -1) {
+        return;
+    }
+    var registered = REGISTERED[name];
+    if (!registered) {
+        throw new verror.VError('algorithm %s is not registered, register ' +
+                                'it with fash.registerAlgorithm()', name);
+    }
+    if (String(algorithm.MAX).toLowerCase() !==
+        registered.MAX.toLowerCase()) {
+        throw new verror.VError('algorithm %s is registered with max %s, but ' +
+                                'the ring has max %s', name, registered.MAX,
+                                algorithm.MAX);
+    }
+}
+
+/**
+ * 32 bit FNV-1a.
+ */
+function fnv1a(key) {
+    var bytes = toBytes(key);
+    var h = 0x811c9dc5;
+    for (var i = 0; i < bytes.length; i++) {
+        h = imul32(h ^ bytes[i], 0x01000193);
+    }
+    return (hex32(h));
+}
+
+/**
+ * MurmurHash3 x86 32 bit.
+ */
+function murmur3_32(key) {
+    var bytes = toBytes(key);
+    var c1 = 0xcc9e2d51;
+    var c2 = 0x1b873593;
+    var blocks = bytes.length - bytes.length % 4;
+    var h = 0;
+    var k;
+
+    for (var i = 0; i < blocks; i += 4) {
+        k = read32(bytes, i);
+        k = imul32(rotl32(imul32(k, c1), 15), c2);
+        h = rotl32(h ^ k, 13);
+        h = (imul32(h, 5) + 0xe6546b64) | 0;
+    }
+
+    k = 0;
+    switch (bytes.length % 4) {
+        case 3:
+            k ^= bytes[blocks + 2] << 16;
+            /* falls through */
+        case 2:
+            k ^= bytes[blocks + 1] << 8;
+            /* falls through */
+        case 1:
+            k ^= bytes[blocks];
+            k = imul32(rotl32(imul32(k, c1), 15), c2);
+            h ^= k;
+            break;
+        default:
+            break;
+    }
+
+    h ^= bytes.length;
+    h ^= h >>> 16;
+    h = imul32(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = imul32(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (hex32(h));
+}
+
+/**
+ * MurmurHash3 x64 128 bit. The hash is the first 64 bit half followed by the
+ * second.
+ */
+function murmur3_128(key) {
+    var bytes = toBytes(key);
+    var c1 = [0x87c37b91, 0x114253d5];
+    var c2 = [0x4cf5ad43, 0x2745937f];
+    var blocks = bytes.length - bytes.length % 16;
+    var h1 = [0, 0];
+    var h2 = [0, 0];
+    var k1;
+    var k2;
+
+    for (var i = 0; i < blocks; i += 16) {
+        k1 = read64(bytes, i);
+        k2 = read64(bytes, i + 8);
+
+        k1 = mul64(rotl64(mul64(k1, c1), 31), c2);
+        h1 = xor64(h1, k1);
+        h1 = add64(rotl64(h1, 27), h2);
+        h1 = add64(mul64(h1, [0, 5]), [0, 0x52dce729]);
+
+        k2 = mul64(rotl64(mul64(k2, c2), 33), c1);
+        h2 = xor64(h2, k2);
+        h2 = add64(rotl64(h2, 31), h1);
+        h2 = add64(mul64(h2, [0, 5]), [0, 0x38495ab5]);
+    }
+
+    var tail = bytes.length % 16;
+    k1 = [0, 0];
+    k2 = [0, 0];
+    for (var j = tail - 1; j >= 8; j--) {
+        k2 = xor64(k2, shl64([0, bytes[blocks + j]], (j - 8) * 8));
+    }
+    if (tail > 8) {
+        k2 = mul64(rotl64(mul64(k2, c2), 33), c1);
+        h2 = xor64(h2, k2);
+    }
+    for (j = Math.min(tail, 8) - 1; j >= 0; j--) {
+        k1 = xor64(k1, shl64([0, bytes[blocks + j]], j * 8));
+    }
+    if (tail > 0) {
+        k1 = mul64(rotl64(mul64(k1, c1), 31), c2);
+        h1 = xor64(h1, k1);
+    }
+
+    h1 = xor64(h1, [0, bytes.length]);
+    h2 = xor64(h2, [0, bytes.length]);
+    h1 = add64(h1, h2);
+    h2 = add64(h2, h1);
+    h1 = fmix64(h1);
+    h2 = fmix64(h2);
+    h1 = add64(h1, h2);
+    h2 = add64(h2, h1);
+    return (hex64(h1) + hex64(h2));
+}
+
+/**
+ * xxHash 64 bit.
+ */
+function xxhash64(key) {
+    var bytes = toBytes(key);
+    var p1 = [0x9e3779b1, 0x85ebca87];
+    var p2 = [0xc2b2ae3d, 0x27d4eb4f];
+    var p3 = [0x165667b1, 0x9e3779f9];
+    var p4 = [0x85ebca77, 0xc2b2ae63];
+    var p5 = [0x27d4eb2f, 0x165667c5];
+    var len = bytes.length;
+    var i = 0;
+    var h;
+
+    function round(acc, input) {
+        acc = add64(acc, mul64(input, p2));
+        return (mul64(rotl64(acc, 31), p1));
+    }
+    function mergeRound(acc, val) {
+        acc = xor64(acc, round([0, 0], val));
+        return (add64(mul64(acc, p1), p4));
+    }
+
+    if (len >= 32) {
+        var v1 = add64(p1, p2);
+        var v2 = p2;
+        var v3 = [0, 0];
+        var v4 = neg64(p1);
+        for (; i + 32 <= len; i += 32) {
+            v1 = round(v1, read64(bytes, i));
+            v2 = round(v2, read64(bytes, i + 8));
+            v3 = round(v3, read64(bytes, i + 16));
+            v4 = round(v4, read64(bytes, i + 24));
+        }
+        h = add64(add64(rotl64(v1, 1), rotl64(v2, 7)),
+                  add64(rotl64(v3, 12), rotl64(v4, 18)));
+        h = mergeRound(h, v1);
+        h = mergeRound(h, v2);
+        h = mergeRound(h, v3);
+        h = mergeRound(h, v4);
+    } else {
+        h = p5;
+    }
+
+    h = add64(h, [0, len]);
+    for (; i + 8 <= len; i += 8) {
+        h = xor64(h, round([0, 0], read64(bytes, i)));
+        h = add64(mul64(rotl64(h, 27), p1), p4);
+    }
+    if (i + 4 <= len) {
+        h = xor64(h, mul64([0, read32(bytes, i)], p1));
+        h = add64(mul64(rotl64(h, 23), p2), p3);
+        i += 4;
+    }
+    for (; i < len; i++) {
+        h = xor64(h, mul64([0, bytes[i]], p5));
+        h = mul64(rotl64(h, 11), p1);
+    }
+
+    h = xor64(h, shr64(h, 33));
+    h = mul64(h, p2);
+    h = xor64(h, shr64(h, 29));
+    h = mul64(h, p3);
+    h = xor64(h, shr64(h, 32));
+    return (hex64(h));
+}
+
+///--- Privates
+
+function toBytes(key) {
+    if (Buffer.isBuffer(key)) {
+        return (key);
+    }
+    // Buffer.from() is missing from older versions of node.
+    return (Buffer.from ? Buffer.from(key, 'utf8') : new Buffer(key, 'utf8'));
+}
+
+function read32(bytes, i) {
+    return ((bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) |
+             (bytes[i + 3] << 24)) >>> 0);
+}
+
+function imul32(a, b) {
+    return ((((a & 0xffff) * b) +
+             ((((a >>> 16) * b) & 0xffff) << 16)) | 0);
+}
+
+function rotl32(x, r) {
+    return ((x << r) | (x >>> (32 - r)));
+}
+
+function hex32(x) {
+    return (('0000000' + (x >>> 0).toString(16)).slice(-8));
+}
+
+function read64(bytes, i) {
+    return ([read32(bytes, i + 4), read32(bytes, i)]);
+}
+
+function hex64(a) {
+    return (hex32(a[0]) + hex32(a[1]));
+}
+
+function add64(a, b) {
+    var lo = a[1] + b[1];
+    var hi = a[0] + b[0] + (lo > 0xffffffff ? 1 : 0);
+    return ([hi >>> 0, lo >>> 0]);
+}
+
+function neg64(a) {
+    return (add64([~a[0] >>> 0, ~a[1] >>> 0], [0, 1]));
+}
+
+function xor64(a, b) {
+    return ([(a[0] ^ b[0]) >>> 0, (a[1] ^ b[1]) >>> 0]);
+}
+
+/**
+ * The low 64 bits of a * b, multiplied in 16 bit limbs so that no partial
+ * product loses precision.
+ */
+function mul64(a, b) {
+    var a48 = a[0] >>> 16;
+    var a32 = a[0] & 0xffff;
+    var a16 = a[1] >>> 16;
+    var a00 = a[1] & 0xffff;
+    var b48 = b[0] >>> 16;
+    var b32 = b[0] & 0xffff;
+    var b16 = b[1] >>> 16;
+    var b00 = b[1] & 0xffff;
+
+    var c00 = a00 * b00;
+    var c16 = c00 >>> 16;
+    c00 &= 0xffff;
+    c16 += a16 * b00;
+    var c32 = c16 >>> 16;
+    c16 &= 0xffff;
+    c16 += a00 * b16;
+    c32 += c16 >>> 16;
+    c16 &= 0xffff;
+    c32 += a32 * b00;
+    var c48 = c32 >>> 16;
+    c32 &= 0xffff;
+    c32 += a16 * b16;
+    c48 += c32 >>> 16;
+    c32 &= 0xffff;
+    c32 += a00 * b32;
+    c48 += c32 >>> 16;
+    c32 &= 0xffff;
+    c48 += a48 * b00 + a32 * b16 + a16 * b32 + a00 * b48;
+    c48 &= 0xffff;
+
+    return ([((c48 << 16) | c32) >>> 0, ((c16 << 16) | c00) >>> 0]);
+}
+
+function shl64(a, n) {
+    if (n === 0) {
+        return (a);
+    } else if (n >= 32) {
+        return ([(a[1] << (n - 32)) >>> 0, 0]);
+    }
+    return ([((a[0] << n) | (a[1] >>> (32 - n))) >>> 0, (a[1] << n) >>> 0]);
+}
+
+function shr64(a, n) {
+    if (n === 0) {
+        return (a);
+    } else if (n >= 32) {
+        return ([0, a[0] >>> (n - 32)]);
+    }
+    return ([a[0] >>> n, ((a[1] >>> n) | (a[0] << (32 - n))) >>> 0]);
+}
+
+function rotl64(a, r) {
+    if (r >= 32) {
+        a = [a[1], a[0]];
+        r -= 32;
+    }
+    if (r === 0) {
+        return (a);
+    }
+    return ([((a[0] << r) | (a[1] >>> (32 - r))) >>> 0,
+             ((a[1] << r) | (a[0] >>> (32 - r))) >>> 0]);
+}
+
+function fmix64(k) {
+    k = xor64(k, shr64(k, 33));
+    k = mul64(k, [0xff51afd7, 0xed558ccd]);
+    k = xor64(k, shr64(k, 33));
+    k = mul64(k, [0xc4ceb9fe, 0x1a85ec53]);
+    return (xor64(k, shr64(k, 33)));
+}
+
+/**
+ * @exports
+ */
+module.exports = {
+    assertSupported: assertSupported,
+    digest: digest,
+    fnv1a: fnv1a,
+    getRegistered: getRegistered,
+    murmur3_128: murmur3_128,
+    murmur3_32: murmur3_32,
+    register: register,
+    xxhash64: xxhash64
+};
@@ -2,16 +2,20 @@
  * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
  */
 
+var algorithms = require('../algorithms');
 var assert = require('assert-plus');
-var bignum = require('bignum');
 var bunyan = require('bunyan');
-var crypto = require('crypto');
+var Changeset = require('../changeset');
 var common = require('../common');
 var dtrace = require('../dtrace');
+var errors = require('../errors');
+var EventEmitter = require('events').EventEmitter;
 var fash = require('../index');
+var LookupStream = require('../lookup_stream');
 var util = require('util');
 var sprintf = util.format;
 var verror = require('verror');
+var vnodeState = require('../vnode_state');
 
 
 /**
@@ -34,16 +38,31 @@ var DATA_NULL = 1;
  *                 can't be changed once set.
  * @param {String[]} options.pnodes The optional array of physical nodes in the
  *                   ring, or the ring topology array.
+ * @param {Object} options.pnodeDomains The optional map of {pnode -> domain}
+ *                 failure domain labels of the pnodes.
+ * @param {Object} options.pnodeWeights The optional map of {pnode -> weight}
+ *                 used to allocate the vnodes of a new ring.
  * @param {Object} topology The topology of a previous hash ring. Used to
  *                 restore an old hash ring.
  * @param {Object} topology.pnodeToVnodeMap The mapping of pnode to vnodes of
  *                 the serialized topology.
  * @param {Number} topology.vnodes The number of vnodes in the serialized
  *                 topology.
+ *
+ * ConsistentHash is an EventEmitter, and emits an event as soon as each change
+ * to the ring has been made:
+ * - 'pnodeAdded' {pnode, before, after}, where before and after are the arrays
+ *   of pnodes in the ring.
+ * - 'pnodeRemoved' {pnode, before, after}, as above.
+ * - 'vnodeRemapped' {pnode, vnodes, before, after}, where pnode is the new
+ *   owner of the vnodes, and before and after are the maps of {vnode -> pnode}.
+ * - 'dataChanged' {vnode, pnode, before, after}, where before and after are
+ *   the data of the vnode, or null if it had none.
  */
 function ConsistentHash(options, callback) {
     dtrace._fash_probes['new-start'].fire(function() { return([]); });
     assert.object(options, 'options');
+    EventEmitter.call(this);
 
     this.log = options.log;
 
@@ -65,20 +84,19 @@ function ConsistentHash(options, callback) {
      */
     self.algorithm_ = options.algorithm;
 
-    /**
-     * The maximum output size of the hash algorithm. Used to determine the
-     * hash interval between each vnode.
-     */
-    self.algorithmMax_ = bignum(options.algorithm.MAX, 16);
-
     /*
      * The number of virtual nodes to provision in the ring. Once set, this
      * can't be changed.
      */
     self.vnodeCount_ = options.vnodes || options.topology.vnodes || 100000;
-    self.vnodesBignum_ = bignum(self.vnodeCount_, 10);
-    self.VNODE_HASH_INTERVAL = self.algorithmMax_.div(self.vnodesBignum_);
-    self.algorithm_.VNODE_HASH_INTERVAL = self.VNODE_HASH_INTERVAL.toString(16);
+
+    /**
+     * The hash interval between each vnode, in hex. The maximum output size of
+     * the hash algorithm divided by the number of vnodes.
+     */
+    self.VNODE_HASH_INTERVAL = common.findHashInterval(options.algorithm.MAX,
+                                                       self.vnodeCount_);
+    self.algorithm_.VNODE_HASH_INTERVAL = self.VNODE_HASH_INTERVAL;
 
     /**
      * The String array of physical nodes in the ring.
@@ -105,6 +123,29 @@ function ConsistentHash(options, callback) {
      */
     self.vnodeData_ = [];
 
+    /**
+     * Map of {pnode -> domain}. The failure domain label of each pnode.
+     * Pnodes without a label are each in a domain of their own.
+     */
+    self.pnodeDomains_ = options.pnodeDomains || {};
+
+    /**
+     * The events of the changeset being committed, which are only emitted
+     * once every change in it has been made. Null outside of commit_().
+     */
+    self.pendingEvents_ = null;
+
+    /**
+     * The generation of the ring, bumped by every change made to it.
+     */
+    self.generation_ = 0;
+
+    /**
+     * The append only history of the changes made to the ring, one entry of
+     * {generation, ops, undo} per generation, see common.createHistoryEntry().
+     */
+    self.history_ = [];
+
     var pnodeMap = {};
 
     if (options.topology) {
@@ -114,6 +155,9 @@ function ConsistentHash(options, callback) {
             topology: topology
         }, 'ConsistentHash.new: previous topology');
         self.pnodeToVnodeMap_ = topology.pnodeToVnodeMap;
+        self.pnodeDomains_ = topology.pnodeDomains || {};
+        self.generation_ = topology.generation || 0;
+        self.history_ = topology.history || [];
         var pnodeKeys = Object.keys(self.pnodeToVnodeMap_);
 
         pnodeKeys.forEach(function(pnode) {
@@ -128,7 +172,7 @@ function ConsistentHash(options, callback) {
 
                 // add the vnode to the vnodeData_ array if it contains data.
                 if (data && data !== DATA_NULL) {
-                    self.vnodeData_.push(vnode);
+                    self.vnodeData_.push(parseInt(vnode, 10));
                 }
             });
         });
@@ -161,11 +205,13 @@ function ConsistentHash(options, callback) {
             return (undefined);
         });
 
-        // Allocate the vnodes to the pnodes by
-        // vnode % total_pnode = assigned pnode.
+        // Allocate the vnodes to the pnodes in proportion to their weights.
+        // With equal weights, vnode % total_pnode = assigned pnode.
         function allocateVnode() {
+            var allocate = common.createAllocator(self.pnodes_,
+                                                  options.pnodeWeights);
             for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
-                var pnode = self.pnodes_[vnode % self.pnodes_.length];
+                var pnode = allocate();
                 var hashspace = common.findHashspace({
                     vnode: vnode,
                     log: self.log,
@@ -212,24 +258,42 @@ function ConsistentHash(options, callback) {
     }
 }
 
+util.inherits(ConsistentHash, EventEmitter);
+
 /**
  * @exports ConsistentHash as Consistenthash
  */
 module.exports = ConsistentHash;
 
 /**
- * Adds a data element to a vnode. If data already existed for the vnode, this
+ * Adds a data element to vnodes. If data already existed for a vnode, this
  * will over-write it. This is useful if you want to add stateful changes to a
- * set of particular vnodes -- for example, setting some vnodes to read only.
+ * set of particular vnodes -- for example, setting some vnodes to read only,
+ * see also setVnodeState(). Either every vnode gets the data or, if any of
+ * them isn't in the ring, none do.
  *
- * @param {Number} vnode The vnode to add data to.
- * @param {Object} data The data to add to the vnode.
+ * @param {Number[] || Number} vnodes The vnodes to add data to.
+ * @param {Object} data The data to add to the vnodes, or null to remove their
+ *                 data.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
  * @param {function} cb The optional callback f(err).
  */
-ConsistentHash.prototype.addData = function addData(vnode, data, cb) {
-    dtrace._fash_probes['adddata-start'].fire(function() {
-        return([vnode, data]);
-    });
+ConsistentHash.prototype.addData = function addData(vnodes, data, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (this.pendingEvents_ === null) {
+        var op = {op: 'addData', data: data};
+        if (Array.isArray(vnodes)) {
+            op.vnodes = vnodes;
+        } else {
+            op.vnode = vnodes;
+        }
+        return (this.commit_([op], opts, cb));
+    }
     var self = this;
     var log = self.log;
     // node-fash#8: data has to be null and not undefined, otherwise
@@ -237,45 +301,79 @@ ConsistentHash.prototype.addData = function addData(vnode, data, cb) {
     // undefined. This means that the vnode gets removed from the serialized
     // topology!
     if (!data) {
-        data = DATA_NULL;
+        data = null;
     }
     log.info({
-        vnodes: vnode,
+        vnodes: vnodes,
         data: data
     }, 'ConsistentHash.addData: entering');
     assert.optionalFunc(cb, 'callback');
-    assert.number(vnode, 'vnode');
-    var pnode = self.vnodeToPnodeMap_[vnode];
-    assert.object(pnode, 'vnode ' + vnode + ' doesn\'t map to pnode');
-
-    // data needs to be changed in both pvmap and vpmap
-    // change pvmap
-    pnode.data = data;
-    // change vpmap
-    self.pnodeToVnodeMap_[pnode.pnode][vnode] = data;
-
-    // update vnodeData array if data !== 1
-    if (data !== DATA_NULL) {
-        var idx = self.vnodeData_.indexOf(vnode);
-        if (idx === -1) {
-            self.vnodeData_.push(vnode);
-        }
-    } else {
-        if (idx !== -1) {
-            // if removing data, remove the vnode from the vnodeData array
-            self.vnodeData_.splice(idx, 1);
-        }
+    if (!Array.isArray(vnodes)) {
+        assert.number(vnodes, 'vnode');
+        vnodes = [vnodes];
     }
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    dtrace._fash_probes['adddata-start'].fire(function() {
+        return([JSON.stringify(vnodes), data || DATA_NULL]);
+    });
+
+    self.setData_(vnodes, function() {
+        return (data);
+    });
 
     log.info({
-        vnode: vnode,
+        vnodes: vnodes,
         data: data
     }, 'ConsistentHash.addData: exiting');
-
     dtrace._fash_probes['adddata-done'].fire(function() {
-        return([null, vnode, data]);
+        return([null, JSON.stringify(vnodes), data || DATA_NULL]);
+    });
+
+    if (cb) {
+        return cb();
+    }
+    return (undefined);
+};
+
+/**
+ * Removes the data of vnodes. Vnodes without data are left alone. Either the
+ * data of every vnode is removed or, if any of them isn't in the ring, none
+ * is.
+ *
+ * @param {Number[] || Number} vnodes The vnodes to remove the data of.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The optional callback f(err).
+ */
+ConsistentHash.prototype.removeData = function removeData(vnodes, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    if (this.pendingEvents_ === null) {
+        return (this.commit_([{op: 'removeData', vnodes: vnodes}], opts, cb));
+    }
+    dtrace._fash_probes['removedata-start'].fire(function() {
+        return ([JSON.stringify(vnodes)]);
+    });
+    var self = this;
+    var log = self.log;
+    log.info({vnodes: vnodes}, 'ConsistentHash.removeData: entering');
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.optionalFunc(cb, 'callback');
+
+    self.setData_(vnodes, function(vnode, data) {
+        return (data === null ? undefined : null);
     });
 
+    log.info('ConsistentHash.removeData: exiting');
+    dtrace._fash_probes['removedata-done'].fire(function() {
+        return ([null, JSON.stringify(vnodes)]);
+    });
     if (cb) {
         return cb();
     }
@@ -295,6 +393,211 @@ ConsistentHash.prototype.getDataVnodes = function getDataVnodes(cb) {
     return this.vnodeData_;
 };
 
+/**
+ * Sets the state of vnodes, see vnode_state.js. Vnodes are writable until
+ * they are set otherwise, and can only move between states as the transitions
+ * there allow. The state is kept in the data of the vnodes, as {state, meta},
+ * which must be empty or a state; vnodes with other data are refused. Setting
+ * a vnode writable without meta clears its data. Either every vnode is set or,
+ * if any of them can't be, none are.
+ *
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @param {String} state The state, one of fash.VNODE_STATE.
+ * @param {Object} meta The optional meta of the state, e.g. where the vnodes
+ *                 are migrating to.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The optional callback f(err).
+ */
+ConsistentHash.prototype.setVnodeState = function setVnodeState(vnodes, state,
+                                                                meta, opts, cb)
+{
+    if (typeof (meta) === 'function') {
+        cb = meta;
+        meta = undefined;
+        opts = {};
+    } else if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    if (this.pendingEvents_ === null) {
+        return (this.commit_([{
+            op: 'setVnodeState',
+            vnodes: vnodes,
+            state: state,
+            meta: meta
+        }], opts, cb));
+    }
+    dtrace._fash_probes['setvnodestate-start'].fire(function() {
+        return ([JSON.stringify(vnodes), state]);
+    });
+    var self = this;
+    var log = self.log;
+    log.info({
+        vnodes: vnodes,
+        state: state,
+        meta: meta
+    }, 'ConsistentHash.setVnodeState: entering');
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    vnodeState.assertState(state);
+    assert.optionalObject(meta, 'meta');
+
+    self.setData_(vnodes, function(vnode, data) {
+        vnodeState.assertStateData(vnode, data);
+        vnodeState.assertTransition(vnode, vnodeState.fromData(data).state,
+                                    state);
+        return (vnodeState.toData(state, meta));
+    });
+
+    log.info('ConsistentHash.setVnodeState: exiting');
+    dtrace._fash_probes['setvnodestate-done'].fire(function() {
+        return ([null, JSON.stringify(vnodes), state]);
+    });
+    if (cb) {
+        return cb();
+    }
+    return (undefined);
+};
+
+/**
+ * Gets the state of a vnode.
+ *
+ * @param {Number} vnode The vnode.
+ * @param {function} cb The optional callback f(err, state).
+ *
+ * @returns {Object} state The {vnode, pnode, state, meta} of the vnode, where
+ * meta is null if the state has none.
+ */
+ConsistentHash.prototype.getVnodeState = function getVnodeState(vnode, cb) {
+    assert.number(vnode, 'vnode');
+    assert.optionalFunc(cb, 'callback');
+    var v = this.vnodeToPnodeMap_[vnode];
+    if (!v) {
+        var err = new verror.VError('vnode %d is not in the ring', vnode);
+        if (cb) {
+            return cb(err);
+        }
+        throw err;
+    }
+    var current = vnodeState.fromData(this.getData_(v.pnode, vnode));
+    var result = {
+        vnode: vnode,
+        pnode: v.pnode,
+        state: current.state,
+        meta: current.meta
+    };
+    if (cb) {
+        return cb(null, result);
+    }
+    return (result);
+};
+
+/**
+ * Gets the vnodes in a state.
+ *
+ * @param {String} state The state, one of fash.VNODE_STATE.
+ * @param {function} cb The optional callback f(err, states).
+ *
+ * @returns {Object[]} states The [{vnode, pnode, state, meta}] of the vnodes
+ * in the state, in order of vnode.
+ */
+ConsistentHash.prototype.getVnodesByState = function getVnodesByState(state,
+                                                                      cb)
+{
+    vnodeState.assertState(state);
+    assert.optionalFunc(cb, 'callback');
+    var states = [];
+    for (var vnode = 0; vnode < this.vnodeCount_; vnode++) {
+        var pnode = this.vnodeToPnodeMap_[vnode].pnode;
+        var current = vnodeState.fromData(this.getData_(pnode, vnode));
+        if (current.state === state) {
+            states.push({
+                vnode: vnode,
+                pnode: pnode,
+                state: current.state,
+                meta: current.meta
+            });
+        }
+    }
+    if (cb) {
+        return cb(null, states);
+    }
+    return (states);
+};
+
+/**
+ * Finds the vnodes that match the options. Each option narrows the search, so
+ * with none every vnode is found.
+ *
+ * @param {Object} options The optional options object.
+ * @param {String} options.pnode The optional pnode the vnodes must belong to.
+ * @param {Object} options.data The optional data the vnodes must have, or null
+ *                 for vnodes without data. Data is compared as JSON.
+ * @param {function} options.predicate The optional f(node), which is given the
+ *                   {vnode, pnode, data} of a vnode and returns whether it is
+ *                   wanted.
+ * @param {function} cb The optional callback f(err, nodes).
+ *
+ * @returns {Object[]} nodes The [{vnode, pnode, data}] of the vnodes found, in
+ * order of vnode.
+ */
+ConsistentHash.prototype.findVnodes = function findVnodes(options, cb) {
+    var self = this;
+    var log = self.log;
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+
+    log.info({options: options}, 'ConsistentHash.findVnodes: entering');
+    assert.object(options, 'options');
+    assert.optionalString(options.pnode, 'options.pnode');
+    assert.optionalFunc(cb, 'callback');
+    var filter = common.createVnodeFilter(options);
+
+    var pnodes = Object.keys(self.pnodeToVnodeMap_);
+    if (options.pnode !== undefined) {
+        if (!self.pnodeToVnodeMap_[options.pnode]) {
+            var err = new verror.VError('pnode %s is not in the ring',
+                                        options.pnode);
+            if (cb) {
+                return cb(err);
+            }
+            throw err;
+        }
+        pnodes = [options.pnode];
+    }
+
+    var nodes = [];
+    pnodes.forEach(function(pnode) {
+        Object.keys(self.pnodeToVnodeMap_[pnode]).forEach(function(v) {
+            var vnode = parseInt(v, 10);
+            var node = {
+                vnode: vnode,
+                pnode: pnode,
+                data: self.getData_(pnode, vnode)
+            };
+            if (filter(node)) {
+                nodes.push(node);
+            }
+        });
+    });
+    nodes.sort(function(a, b) {
+        return (a.vnode - b.vnode);
+    });
+
+    log.info({vnodes: nodes.length}, 'ConsistentHash.findVnodes: exiting');
+    if (cb) {
+        return cb(null, nodes);
+    }
+    return (nodes);
+};
+
 /**
  * Remaps a pnode on the hash ring. The node can be an existing pnode, or a new
  * one.
@@ -303,9 +606,25 @@ ConsistentHash.prototype.getDataVnodes = function getDataVnodes(cb) {
  * @param {Number[] || Number} vnodes The vnodes to add to this pnode.
  *                                    Implicitly removes the vnodes from its
  *                                    previous pnode owner.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
  * @param {function} cb The optional callback f(err).
  */
-ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb) {
+ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes,
+                                                          opts, cb)
+{
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (this.pendingEvents_ === null) {
+        return (this.commit_([{
+            op: 'remapVnode',
+            pnode: newPnode,
+            vnodes: vnodes
+        }], opts, cb));
+    }
     dtrace._fash_probes['remapvnode-start'].fire(function() {
         return ([newPnode, vnodes]);
     });
@@ -328,11 +647,13 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
     // 3) vnodes are specified once and only once.
     var vnodeMap = {};
     if (vnodes) {
-        vnodes.forEach(function(v) {
-            var err;
-            if ((v > self.vnodeCount_) || (v < 0)) {
+        for (var j = 0; j < vnodes.length; j++) {
+            var v = vnodes[j];
+            var err = null;
+            if ((v >= self.vnodeCount_) || (v < 0) ||
+                !self.vnodeToPnodeMap_[v]) {
                 err = new verror.VError('vnode ' + v +
-                                        ' specified more than once');
+                                        ' does not exist in the ring');
             } else if (vnodeMap[v]) {
                 err = new verror.VError('vnode ' + v +
                                         ' specified more than once');
@@ -343,8 +664,7 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
             }
             if (err) {
                 dtrace._fash_probes['remapvnode-done'].fire(function() {
-                    return ([err ? err.message : null, newPnode, oldPnode,
-                             vnode]);
+                    return ([err.message, newPnode, null, v]);
                 });
                 if (cb) {
                     return cb(err);
@@ -353,11 +673,13 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
                 throw err;
             }
             vnodeMap[v] = true;
-        });
+        }
     }
 
     // if this pnode doesn't exist, create it
+    var pnodesBefore = null;
     if (!self.pnodeToVnodeMap_[newPnode]) {
+        pnodesBefore = self.pnodes_.slice();
         self.pnodeToVnodeMap_[newPnode] = {};
         self.pnodes_.push(newPnode);
         self.pnodes_.sort();
@@ -412,6 +734,28 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
         vnodes: vnodes
     }, 'ConsistentHash.remapVnode: exiting');
 
+    if (pnodesBefore) {
+        self.emitChange_('pnodeAdded', {
+            pnode: newPnode,
+            before: pnodesBefore,
+            after: self.pnodes_.slice()
+        });
+    }
+    var before = {};
+    var after = {};
+    Object.keys(changedNodes).forEach(function(p) {
+        changedNodes[p].forEach(function(v) {
+            before[v] = p;
+            after[v] = newPnode;
+        });
+    });
+    self.emitChange_('vnodeRemapped', {
+        pnode: newPnode,
+        vnodes: vnodes.map(function(v) { return (parseInt(v, 10)); }),
+        before: before,
+        after: after
+    });
+
     dtrace._fash_probes['remapvnode-done'].fire(function() {
         return ([null, newPnode, oldPnode, vnode]);
     });
@@ -421,12 +765,294 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
     return (undefined);
 };
 
+/**
+ * Adds a new pnode to the hash ring, and moves a fair share of the vnodes --
+ * the number of vnodes divided by the number of pnodes that own vnodes, plus
+ * one -- to it. The vnodes are taken one at a time from the pnode that owns
+ * the most vnodes, so as few vnodes as possible are moved.
+ *
+ * @param {String} pnode The name of the new pnode.
+ * @param {Object} opts The optional options object.
+ * @param {String} opts.domain The optional failure domain of the pnode.
+ * @param {Number} opts.vnodes The optional number of vnodes to move to the
+ *                 pnode, overriding the fair share.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The optional callback f(err, moved).
+ *
+ * @return {Object[]} moved The vnodes moved to the new pnode and their old
+ * owners, [{vnode, oldPnode}].
+ */
+ConsistentHash.prototype.addPnode = function addPnode(pnode, opts, cb) {
+    dtrace._fash_probes['addpnode-start'].fire(function() {
+        return ([pnode]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    opts = opts || {};
+
+    log.info({
+        pnode: pnode,
+        opts: opts
+    }, 'ConsistentHash.addPnode: entering');
+    assert.string(pnode, 'pnode');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.domain, 'opts.domain');
+    assert.optionalNumber(opts.vnodes, 'opts.vnodes');
+    assert.optionalNumber(opts.expectedGeneration, 'opts.expectedGeneration');
+    assert.optionalFunc(cb, 'callback');
+
+    if (self.pnodeToVnodeMap_[pnode]) {
+        var err = new verror.VError('pnode %s already exists', pnode);
+        dtrace._fash_probes['addpnode-done'].fire(function() {
+            return ([err.message, pnode, 0]);
+        });
+        if (cb) {
+            return cb(err);
+        }
+        throw err;
+    }
+
+    var pnodeToVnodes = {};
+    self.pnodes_.forEach(function(p) {
+        var vnodes = self.getVnodes(p);
+        if (vnodes.length > 0) {
+            pnodeToVnodes[p] = vnodes;
+        }
+    });
+    var count = opts.vnodes;
+    if (count === undefined) {
+        count = Math.floor(self.vnodeCount_ /
+                           (Object.keys(pnodeToVnodes).length + 1));
+    }
+    var moved = common.planAddPnode({
+        pnodeToVnodes: pnodeToVnodes,
+        count: count
+    });
+
+    // create the pnode and move the vnodes to it as one change.
+    var ops = [{op: 'addPnode', pnode: pnode, domain: opts.domain}];
+    if (moved.length > 0) {
+        ops.push({
+            op: 'remapVnode',
+            pnode: pnode,
+            vnodes: moved.map(function(m) { return (m.vnode); })
+        });
+    }
+    var commitErr = null;
+    try {
+        self.commit_(ops, {expectedGeneration: opts.expectedGeneration});
+    } catch (e) {
+        commitErr = e;
+    }
+
+    log.info({
+        err: commitErr,
+        pnode: pnode,
+        moved: moved
+    }, 'ConsistentHash.addPnode: exiting');
+    dtrace._fash_probes['addpnode-done'].fire(function() {
+        return ([commitErr ? commitErr.message : null, pnode, moved.length]);
+    });
+
+    if (commitErr) {
+        if (cb) {
+            return cb(commitErr);
+        }
+        throw commitErr;
+    }
+    if (cb) {
+        return cb(null, moved);
+    }
+    return (moved);
+};
+
+/**
+ * Creates a new pnode that owns no vnodes. Invoked by commit_() on behalf of
+ * addPnode().
+ *
+ * @param {String} pnode The name of the new pnode.
+ * @param {String} domain The optional failure domain of the pnode.
+ */
+ConsistentHash.prototype.createPnode_ = function createPnode_(pnode, domain) {
+    var self = this;
+    if (self.pnodeToVnodeMap_[pnode]) {
+        throw new verror.VError('pnode %s already exists', pnode);
+    }
+    var pnodesBefore = self.pnodes_.slice();
+    self.pnodeToVnodeMap_[pnode] = {};
+    self.pnodes_.push(pnode);
+    self.pnodes_.sort();
+    if (domain !== undefined) {
+        self.pnodeDomains_[pnode] = domain;
+    }
+    self.emitChange_('pnodeAdded', {
+        pnode: pnode,
+        before: pnodesBefore,
+        after: self.pnodes_.slice()
+    });
+};
+
+/**
+ * Begins a changeset, a set of remapVnode(), addData(), removeData() and
+ * removePnode() changes that are committed atomically. If any change fails,
+ * the ring is rolled back to the state it was in before the commit.
+ *
+ *      ring.begin()
+ *          .remapVnode('B', ring.getVnodes('A'))
+ *          .removePnode('A')
+ *          .commit();
+ *
+ * @return {Changeset} the changeset.
+ */
+ConsistentHash.prototype.begin = function begin() {
+    return (new Changeset(this));
+};
+
+/**
+ * Applies a set of changes to the ring as one change. Invoked by
+ * Changeset.commit(), and by the mutators when they are called on their own.
+ * If opts.expectedGeneration is set and isn't the generation of the ring,
+ * nothing is changed and a GenerationMismatchError is returned. Otherwise the
+ * generation is bumped once every change has been made. If any change fails,
+ * the ring is rolled back to the state it was in before the commit.
+ *
+ * @param {Object[]} ops The changes.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at.
+ * @param {function} cb The optional callback f(err).
+ */
+ConsistentHash.prototype.commit_ = function commit_(ops, opts, cb) {
+    dtrace._fash_probes['commit-start'].fire(function() {
+        return ([ops.length]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    opts = opts || {};
+    log.info({ops: ops, opts: opts}, 'ConsistentHash.commit: entering');
+
+    var domains = JSON.parse(JSON.stringify(self.pnodeDomains_));
+    // a single change is validated before it is made, so there is nothing to
+    // roll back.
+    var snapshot = null;
+    if (ops.length > 1) {
+        snapshot = {
+            pnodes_: self.pnodes_.slice(),
+            pnodeToVnodeMap_: JSON.parse(JSON.stringify(self.pnodeToVnodeMap_)),
+            vnodeToPnodeMap_: JSON.parse(JSON.stringify(self.vnodeToPnodeMap_)),
+            vnodeData_: self.vnodeData_.slice(),
+            pnodeDomains_: domains
+        };
+    }
+    self.pendingEvents_ = [];
+
+    var err = null;
+    try {
+        assert.optionalNumber(opts.expectedGeneration,
+                              'opts.expectedGeneration');
+        if (opts.expectedGeneration !== undefined &&
+            opts.expectedGeneration !== self.generation_) {
+            throw new errors.GenerationMismatchError(opts.expectedGeneration,
+                                                     self.generation_);
+        }
+        ops.forEach(function(op) {
+            switch (op.op) {
+                case 'addPnode':
+                    self.createPnode_(op.pnode, op.domain);
+                    break;
+                case 'remapVnode':
+                    self.remapVnode(op.pnode, op.vnodes);
+                    break;
+                case 'addData':
+                    self.addData(op.vnodes || op.vnode, op.data);
+                    break;
+                case 'removeData':
+                    self.removeData(op.vnodes);
+                    break;
+                case 'setVnodeState':
+                    self.setVnodeState(op.vnodes, op.state, op.meta);
+                    break;
+                case 'removePnode':
+                    self.removePnode(op.pnode);
+                    break;
+                default:
+                    throw new verror.VError('unknown change %s', op.op);
+            }
+        });
+    } catch (e) {
+        err = e;
+    }
+
+    var events = self.pendingEvents_;
+    self.pendingEvents_ = null;
+    if (err && snapshot) {
+        // roll back every change made so far.
+        Object.keys(snapshot).forEach(function(field) {
+            self[field] = snapshot[field];
+        });
+    } else if (!err) {
+        self.generation_++;
+        self.history_.push(common.createHistoryEntry({
+            generation: self.generation_,
+            ops: ops,
+            events: events,
+            domains: domains
+        }));
+    }
+
+    log.info({
+        err: err,
+        generation: self.generation_
+    }, 'ConsistentHash.commit: exiting');
+    dtrace._fash_probes['commit-done'].fire(function() {
+        return ([err ? err.message : null, ops.length]);
+    });
+
+    if (err) {
+        if (cb) {
+            return cb(err);
+        }
+        throw err;
+    }
+    events.forEach(function(e) {
+        self.emit(e.name, e.event);
+    });
+    if (cb) {
+        return cb();
+    }
+    return (undefined);
+};
+
+/**
+ * Emits a ring change event, or holds on to it until the changeset being
+ * committed has been applied.
+ */
+ConsistentHash.prototype.emitChange_ = function emitChange_(name, event) {
+    if (this.pendingEvents_) {
+        this.pendingEvents_.push({name: name, event: event});
+        return;
+    }
+    this.emit(name, event);
+};
+
 /**
  * Removes a pnode from the hash ring.  Note the pnode must not map to any
  * vnodes.  Remove the vnodes first by re-assigning them to other pnodes before
  * invoking this function.
  *
  * @param {String} pnode The pnode to remove.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
  * @param {function} cb The optional callback f({Object}, {Object}).
  * @param {Object} cb.newTopology The updated ring topology.
  * @param {Object} cb.newTopology.pnodeToVnodeMap The map of physical nodes to.
@@ -434,7 +1060,14 @@ ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes, cb)
  * @param {Object} cb.changedNodes The pnode->vnode mapping of the nodes that
  * have changed.
  */
-ConsistentHash.prototype.removePnode = function removePnode(pnode, cb) {
+ConsistentHash.prototype.removePnode = function removePnode(pnode, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (this.pendingEvents_ === null) {
+        return (this.commit_([{op: 'removePnode', pnode: pnode}], opts, cb));
+    }
     dtrace._fash_probes['removepnode-start'].fire(function() {
         return ([pnode]);
     });
@@ -470,14 +1103,22 @@ ConsistentHash.prototype.removePnode = function removePnode(pnode, cb) {
     }
 
     // remove references to pnode.
+    var pnodesBefore = self.pnodes_.slice();
     self.pnodes_.splice(self.pnodes_.indexOf(pnode), 1);
     self.pnodeToVnodeMap_[pnode] = null;
     delete self.pnodeToVnodeMap_[pnode];
+    delete self.pnodeDomains_[pnode];
 
     log.info({
         pnode: pnode
     }, 'ConsistentHash.removePnode: exiting');
 
+    self.emitChange_('pnodeRemoved', {
+        pnode: pnode,
+        before: pnodesBefore,
+        after: self.pnodes_.slice()
+    });
+
     dtrace._fash_probes['removepnode-done'].fire(function() {
         return ([err ? err.message : null, pnode]);
     });
@@ -506,6 +1147,123 @@ ConsistentHash.prototype.getPnodes = function getPnodes(cb) {
     return self.pnodes_;
 };
 
+/**
+ * Get the failure domain labels of the pnodes. Pnodes without a label are not
+ * in the map.
+ *
+ * @param {function} cb The optional callback f(err, {pnode -> domain}).
+ * @return {Object} domains The map of {pnode -> domain}.
+ */
+ConsistentHash.prototype.getPnodeDomains = function getPnodeDomains(cb) {
+    assert.optionalFunc(cb, 'callback');
+    if (cb) {
+        return cb(null, this.pnodeDomains_);
+    }
+    return this.pnodeDomains_;
+};
+
+/**
+ * Get the generation of the ring. The generation starts at 0 and is bumped by
+ * every change made to the ring, so it can be passed as
+ * opts.expectedGeneration to make sure nobody else has changed the ring since.
+ *
+ * @param {function} cb The optional callback f(err, generation).
+ * @return {Number} the generation.
+ */
+ConsistentHash.prototype.getGeneration = function getGeneration(cb) {
+    assert.optionalFunc(cb, 'callback');
+    if (cb) {
+        return cb(null, this.generation_);
+    }
+    return (this.generation_);
+};
+
+/**
+ * Get the history of the changes made to the ring, oldest first. Each entry is
+ * of the form {generation, ops, undo}, where generation is the generation the
+ * change moved the ring to, ops are the changes that were made, and undo are
+ * the changes that undo them.
+ *
+ * @param {function} cb The optional callback f(err, history).
+ * @return {Object[]} the history.
+ */
+ConsistentHash.prototype.history = function history(cb) {
+    assert.optionalFunc(cb, 'callback');
+    var entries = JSON.parse(JSON.stringify(this.history_));
+    if (cb) {
+        return cb(null, entries);
+    }
+    return (entries);
+};
+
+/**
+ * Reverts the ring to the state it was in at an earlier generation, by undoing
+ * every change made since, newest first, as one changeset. The history is
+ * append only, so the revert is itself a change with a new generation, which
+ * can in turn be reverted.
+ *
+ * @param {Number} generation The generation to revert to.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The optional callback f(err).
+ */
+ConsistentHash.prototype.revertTo = function revertTo(generation, opts, cb) {
+    dtrace._fash_probes['revertto-start'].fire(function() {
+        return ([generation]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    opts = opts || {};
+    assert.number(generation, 'generation');
+    assert.object(opts, 'opts');
+    assert.optionalFunc(cb, 'callback');
+    log.info({
+        generation: generation,
+        opts: opts
+    }, 'ConsistentHash.revertTo: entering');
+
+    var err = null;
+    try {
+        if (opts.expectedGeneration !== undefined &&
+            opts.expectedGeneration !== self.generation_) {
+            throw new errors.GenerationMismatchError(opts.expectedGeneration,
+                                                     self.generation_);
+        }
+        var undo = common.planRevert({
+            history: self.history_,
+            generation: generation,
+            currentGeneration: self.generation_
+        });
+        if (undo.length > 0) {
+            self.commit_(undo, {
+                expectedGeneration: opts.expectedGeneration
+            });
+        }
+    } catch (e) {
+        err = e;
+    }
+
+    log.info({err: err}, 'ConsistentHash.revertTo: exiting');
+    dtrace._fash_probes['revertto-done'].fire(function() {
+        return ([err ? err.message : null, generation]);
+    });
+    if (err) {
+        if (cb) {
+            return cb(err);
+        }
+        throw err;
+    }
+    if (cb) {
+        return cb();
+    }
+    return (undefined);
+};
+
 /**
  * Get the array of vnodes that belong to a particular pnode
  *
@@ -547,6 +1305,99 @@ ConsistentHash.prototype.getVnodes = function getVnodes(pnode, cb) {
     return vnodeArray;
 };
 
+/**
+ * Get the range of hashes a vnode owns, see common.findVnodeRange().
+ *
+ * @param {Number} vnode The vnode.
+ * @param {function} cb The optional callback f(err, range).
+ * @return {Object} the {start, end} hex bounds of the range, inclusive.
+ */
+ConsistentHash.prototype.getVnodeRange = function getVnodeRange(vnode, cb) {
+    var self = this;
+    assert.number(vnode, 'vnode');
+    assert.optionalFunc(cb, 'callback');
+
+    var range;
+    try {
+        range = common.findVnodeRange({
+            vnode: vnode,
+            vnodeCount: self.vnodeCount_,
+            vnodeHashInterval: self.VNODE_HASH_INTERVAL,
+            algorithmMax: self.algorithm_.MAX
+        });
+    } catch (e) {
+        if (cb) {
+            return cb(e);
+        }
+        throw e;
+    }
+    if (cb) {
+        return cb(null, range);
+    }
+    return (range);
+};
+
+/**
+ * Get the ranges of hashes a pnode owns, with the ranges of its adjacent
+ * vnodes merged, see common.findVnodesRanges().
+ *
+ * @param {String} pnode The pnode.
+ * @param {function} cb The optional callback f(err, ranges).
+ * @return {Object[]} the {start, end} hex bounds of each range, in order.
+ */
+ConsistentHash.prototype.getPnodeRanges = function getPnodeRanges(pnode, cb) {
+    var self = this;
+    assert.string(pnode, 'pnode');
+    assert.optionalFunc(cb, 'callback');
+
+    var vnodes;
+    try {
+        vnodes = self.getVnodes(pnode);
+    } catch (e) {
+        if (cb) {
+            return cb(e);
+        }
+        throw e;
+    }
+    var ranges = common.findVnodesRanges({
+        vnodes: vnodes,
+        vnodeCount: self.vnodeCount_,
+        vnodeHashInterval: self.VNODE_HASH_INTERVAL,
+        algorithmMax: self.algorithm_.MAX
+    });
+    if (cb) {
+        return cb(null, ranges);
+    }
+    return (ranges);
+};
+
+/**
+ * Get the ownership statistics of the ring: the number of vnodes, share of the
+ * hashspace, number of runs of adjacent vnodes and number of vnodes with data
+ * of each pnode, and the imbalance of the ring. See common.computeStats().
+ *
+ * @param {function} cb The optional callback f(err, stats).
+ * @return {Object} the stats.
+ */
+ConsistentHash.prototype.stats = function stats(cb) {
+    var self = this;
+    assert.optionalFunc(cb, 'callback');
+
+    var pnodeToVnodes = {};
+    self.getPnodes().forEach(function(pnode) {
+        pnodeToVnodes[pnode] = self.getVnodes(pnode);
+    });
+    var result = common.computeStats({
+        vnodes: self.vnodeCount_,
+        pnodeToVnodes: pnodeToVnodes,
+        dataVnodes: self.getDataVnodes()
+    });
+    if (cb) {
+        return cb(null, result);
+    }
+    return (result);
+};
+
 /**
  * Gets the pnode and vnode that a key belongs to on the ring.
  *
@@ -559,11 +1410,11 @@ ConsistentHash.prototype.getNode = function getNode(key, cb) {
         return ([key]);
     });
     assert.optionalFunc(cb, 'callback');
-    var value = crypto.createHash(this.algorithm_.NAME).update(key).digest('hex');
+    var value = algorithms.digest(this.algorithm_.NAME, key);
     // find the node that corresponds to this hash.
     var vnode = this.findVnode(value);
     var pnode = this.vnodeToPnodeMap_[vnode].pnode;
-    var data = this.pnodeToVnodeMap_[pnode][vnode];
+    var data = this.getData_(pnode, vnode);
     dtrace._fash_probes['getnode-done'].fire(function() {
         return([null, key, value, pnode, vnode, data]);
     });
@@ -573,6 +1424,140 @@ ConsistentHash.prototype.getNode = function getNode(key, cb) {
     return {pnode: pnode, vnode: vnode, data: data};
 };
 
+/**
+ * Gets the nodes of many keys at once. Every key is hashed, and the pnode and
+ * data of each distinct vnode the keys map to are only looked up once.
+ *
+ * @param {String[]} keys The keys.
+ * @param {function} cb The optional callback f(err, nodes).
+ *
+ * @returns {Object[]} nodes The [{pnode, vnode, data}] the keys map to, in the
+ * order of the keys.
+ */
+ConsistentHash.prototype.getNodeMulti = function getNodeMulti(keys, cb) {
+    dtrace._fash_probes['getnodemulti-start'].fire(function() {
+        return ([keys.length]);
+    });
+    var self = this;
+    assert.arrayOfString(keys, 'keys');
+    assert.optionalFunc(cb, 'callback');
+
+    var entries = {};
+    var count = 0;
+    var nodes = keys.map(function(key) {
+        var value = algorithms.digest(self.algorithm_.NAME, key);
+        var vnode = self.findVnode(value);
+        if (!entries.hasOwnProperty(vnode)) {
+            var pnode = self.vnodeToPnodeMap_[vnode].pnode;
+            entries[vnode] = {
+                pnode: pnode,
+                data: self.getData_(pnode, vnode)
+            };
+            count++;
+        }
+        return ({
+            pnode: entries[vnode].pnode,
+            vnode: vnode,
+            data: entries[vnode].data
+        });
+    });
+
+    dtrace._fash_probes['getnodemulti-done'].fire(function() {
+        return ([null, keys.length, count]);
+    });
+    if (cb) {
+        return cb(null, nodes);
+    }
+    return (nodes);
+};
+
+/**
+ * Creates an object mode Transform stream that maps keys, as Strings or
+ * Buffers, to the {key, pnode, vnode, data} they belong to on the ring, in the
+ * order of the keys.
+ *
+ * @param {Object} options The optional options object.
+ * @param {Number} options.concurrency The optional max number of lookups in
+ *                 flight at once, defaults to 100.
+ *
+ * @returns {LookupStream} the stream.
+ */
+ConsistentHash.prototype.createLookupStream =
+    function createLookupStream(options) {
+    options = options || {};
+    assert.object(options, 'options');
+    return new LookupStream({
+        ring: this,
+        concurrency: options.concurrency
+    });
+};
+
+/**
+ * Gets an ordered preference list of n distinct pnodes for a key. The ring is
+ * walked clockwise from the vnode the key hashes to, and each pnode is added
+ * to the list at the first vnode it is found on. Pnodes that share a failure
+ * domain with a pnode already in the list are skipped.
+ *
+ * @param {String} key The key.
+ * @param {Number} n The number of distinct pnodes to return.
+ * @param {function} cb The optional callback f(err, nodes).
+ *
+ * @returns {Object[]} nodes The [{pnode, vnode, data}] the key maps to, in
+ * order of preference. Fewer than n nodes are returned if the ring does not
+ * contain n failure domains.
+ */
+ConsistentHash.prototype.getNodes = function getNodes(key, n, cb) {
+    dtrace._fash_probes['getnodes-start'].fire(function() {
+        return ([key, n]);
+    });
+    var self = this;
+    assert.number(n, 'n');
+    assert.optionalFunc(cb, 'callback');
+    if (n < 1) {
+        var err = new verror.VError('n must be at least 1');
+        dtrace._fash_probes['getnodes-done'].fire(function() {
+            return ([err.message, key, n, null]);
+        });
+        if (cb) {
+            return cb(err);
+        }
+        throw err;
+    }
+
+    var value = algorithms.digest(self.algorithm_.NAME, key);
+    var start = self.findVnode(value);
+    var domainCount = common.countFailureDomains(self.pnodes_,
+                                                 self.pnodeDomains_);
+    var nodes = [];
+    var seen = {};
+    for (var i = 0; i < self.vnodeCount_; i++) {
+        if (nodes.length === n || nodes.length === domainCount) {
+            break;
+        }
+        var vnode = (start + i) % self.vnodeCount_;
+        var pnode = self.vnodeToPnodeMap_[vnode].pnode;
+        var domain = common.failureDomain(self.pnodeDomains_, pnode);
+        if (!seen[domain]) {
+            seen[domain] = true;
+            nodes.push({
+                pnode: pnode,
+                vnode: vnode,
+                data: self.getData_(pnode, vnode)
+            });
+        }
+    }
+
+    dtrace._fash_probes['getnodes-done'].fire(function() {
+        return ([null, key, n, JSON.stringify(nodes.map(function(node) {
+            return (node.pnode);
+        }))]);
+    });
+    if (cb) {
+        return cb(null, nodes);
+    }
+    return nodes;
+};
+
 /**
  * Gets the vnode map.
  *
@@ -585,12 +1570,125 @@ ConsistentHash.prototype.getAllVnodes = function getAllVnodes() {
     return this.vnodeToPnodeMap_;
 };
 
+/**
+ * Get the fingerprint of the ring, a digest of the pnode and data of every
+ * vnode. Rings that map every key the same way have the same fingerprint, on
+ * any host and with either backend, so it can be used to check that hosts
+ * agree on the ring without comparing whole topologies.
+ *
+ * @param {function} cb The optional callback f(err, fingerprint).
+ * @return {String} the fingerprint, a hex sha256 digest.
+ */
+ConsistentHash.prototype.fingerprint = function fingerprint(cb) {
+    dtrace._fash_probes['fingerprint-start'].fire(function() {
+        return ([]);
+    });
+    var self = this;
+    assert.optionalFunc(cb, 'callback');
+
+    var vnodes = [];
+    for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
+        var v = self.vnodeToPnodeMap_[vnode];
+        var data = v.data;
+        if (data === undefined || data === DATA_NULL) {
+            data = null;
+        }
+        vnodes.push({pnode: v.pnode, data: data});
+    }
+    var digest = common.fingerprint({
+        algorithm: self.algorithm_.NAME,
+        vnodes: vnodes
+    });
+
+    dtrace._fash_probes['fingerprint-done'].fire(function() {
+        return ([null, digest]);
+    });
+    if (cb) {
+        return cb(null, digest);
+    }
+    return (digest);
+};
+
+/**
+ * Check the integrity of the ring: that every vnode is owned by exactly one
+ * pnode, that the pnode to vnode and vnode to pnode maps agree, and that the
+ * data vnodes are the vnodes with data. See common.verifyRing() for the
+ * problems that can be found. The in memory backend also keeps the data of
+ * each vnode in both maps, and reports a dataMismatch problem for every vnode
+ * whose data differs between them.
+ *
+ * @param {function} cb The optional callback f(err, problems).
+ * @return {Object[]} the problems found, empty if the ring is consistent.
+ */
+ConsistentHash.prototype.verify = function verify(cb) {
+    dtrace._fash_probes['verify-start'].fire(function() {
+        return ([]);
+    });
+    var self = this;
+    var log = self.log;
+    assert.optionalFunc(cb, 'callback');
+
+    function normalize(data) {
+        return ((data === undefined || data === DATA_NULL) ? null : data);
+    }
+
+    var pnodeVnodes = {};
+    Object.keys(self.pnodeToVnodeMap_).forEach(function(pnode) {
+        pnodeVnodes[pnode] = Object.keys(self.pnodeToVnodeMap_[pnode]);
+    });
+    var vnodePnodes = [];
+    var vnodeData = [];
+    var mismatched = [];
+    for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
+        var v = self.vnodeToPnodeMap_[vnode];
+        if (!v) {
+            continue;
+        }
+        vnodePnodes[vnode] = v.pnode;
+        var vnodes = self.pnodeToVnodeMap_[v.pnode];
+        if (!vnodes || !vnodes.hasOwnProperty(vnode)) {
+            continue;
+        }
+        vnodeData[vnode] = normalize(vnodes[vnode]);
+        if (JSON.stringify(vnodeData[vnode]) !==
+            JSON.stringify(normalize(v.data))) {
+            mismatched.push({
+                code: 'dataMismatch',
+                message: sprintf('vnode %d has different data in the pnode ' +
+                                 'and vnode maps', vnode),
+                pnode: v.pnode,
+                vnode: vnode
+            });
+        }
+    }
+
+    var problems = common.verifyRing({
+        vnodes: self.vnodeCount_,
+        pnodes: self.pnodes_,
+        pnodeVnodes: pnodeVnodes,
+        vnodePnodes: vnodePnodes,
+        vnodeData: vnodeData,
+        dataVnodes: self.vnodeData_
+    }).concat(mismatched);
+
+    log.info({problems: problems}, 'ConsistentHash.verify: exiting');
+    dtrace._fash_probes['verify-done'].fire(function() {
+        return ([null, problems.length]);
+    });
+    if (cb) {
+        return cb(null, problems);
+    }
+    return (problems);
+};
+
 /**
  * Serialize the current state of the ring in serialized to a JSON string.
  *
  * @return {Object} ring The updated ring topology.
  * @return {Object} ring.pnodeToVnodeMap The map of {pnode->{vnode1,... vnoden}.
  * @return {String} ring.vnode The number of vnodes in the ring.
+ * @return {Number} ring.generation The generation of the ring.
+ * @return {Object[]} ring.history The history of the changes made to the ring.
  */
 ConsistentHash.prototype.serialize = function serialize(callback) {
     var self = this;
@@ -601,8 +1699,11 @@ ConsistentHash.prototype.serialize = function serialize(callback) {
     var serializedHash = JSON.stringify({
         vnodes:  self.vnodeCount_,
         pnodeToVnodeMap: self.pnodeToVnodeMap_,
+        pnodeDomains: self.pnodeDomains_,
         algorithm: self.algorithm_,
-        version: fash.VERSION
+        version: fash.VERSION,
+        generation: self.generation_,
+        history: self.history_
     });
 
     log.trace({
@@ -619,12 +1720,83 @@ ConsistentHash.prototype.serialize = function serialize(callback) {
 
 // Private Functions
 
+/**
+ * Sets the data of vnodes. dataFn(vnode, data) is given the data of each
+ * vnode, or null, and returns its new data, null to remove it, or undefined to
+ * leave the vnode alone. It throws if the vnode can't be changed. Every vnode
+ * is checked before any is changed.
+ */
+ConsistentHash.prototype.setData_ = function setData_(vnodes, dataFn) {
+    var self = this;
+    var changes = [];
+    var seen = {};
+    vnodes.forEach(function(vnode) {
+        var v = self.vnodeToPnodeMap_[vnode];
+        if (!v) {
+            throw new verror.VError('vnode %d is not in the ring', vnode);
+        }
+        if (seen[vnode]) {
+            return;
+        }
+        seen[vnode] = true;
+        var before = self.getData_(v.pnode, vnode);
+        var after = dataFn(vnode, before);
+        if (after !== undefined) {
+            changes.push({vnode: vnode, pnode: v.pnode, before: before,
+                          after: after});
+        }
+    });
+
+    var dataVnodes = {};
+    self.vnodeData_.forEach(function(vnode) {
+        dataVnodes[vnode] = true;
+    });
+    changes.forEach(function(c) {
+        var data = c.after === null ? DATA_NULL : c.after;
+        // data needs to be changed in both pvmap and vpmap
+        self.vnodeToPnodeMap_[c.vnode].data = data;
+        self.pnodeToVnodeMap_[c.pnode][c.vnode] = data;
+        if (c.after === null) {
+            delete dataVnodes[c.vnode];
+        } else {
+            dataVnodes[c.vnode] = true;
+        }
+        self.emitChange_('dataChanged', {
+            vnode: c.vnode,
+            pnode: c.pnode,
+            before: c.before,
+            after: c.after
+        });
+    });
+    if (changes.length > 0) {
+        self.vnodeData_ = Object.keys(dataVnodes).map(function(vnode) {
+            return (parseInt(vnode, 10));
+        });
+    }
+};
+
+/**
+ * Gets the data of a vnode, or null if it has none.
+ */
+ConsistentHash.prototype.getData_ = function getData_(pnode, vnode) {
+    var data = this.pnodeToVnodeMap_[pnode][vnode];
+    return ((data === undefined || data === DATA_NULL) ? null : data);
+};
+
 /**
  * Simply divide the hash by the number of vnodes to find which vnode maps to
- * this hash.
- * @param {String} the value of the hash string in hex.
+ * this hash, see common.findVnode().
+ * @param {String} the value of the hash string in hex, or any object whose
+ *                 toString(16) is, such as a bignum.
  * @return {Integer} the vnode.
  */
 ConsistentHash.prototype.findVnode = function findVnode(hash) {
-    return parseInt(bignum(hash, 16).div(this.VNODE_HASH_INTERVAL), 10);
+    if (typeof (hash) !== 'string') {
+        hash = hash.toString(16);
+    }
+    return (common.findVnode({
+        hash: hash,
+        vnodeHashInterval: this.VNODE_HASH_INTERVAL,
+        vnodeCount: this.vnodeCount_
+    }));
 };
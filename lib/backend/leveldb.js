@@ -2,20 +2,25 @@
  * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
  */
 
+var algorithms = require('../algorithms');
 var assert = require('assert-plus');
-var bignum = require('bignum');
 var bunyan = require('bunyan');
+var Changeset = require('../changeset');
 var common = require('../common');
 var dtrace = require('../dtrace');
+var errors = require('../errors');
 var EventEmitter = require('events').EventEmitter;
 var fash = require('../index');
-var crypto = require('crypto');
+var hex = require('../hex');
 var levelup = require('levelup');
+var LookupStream = require('../lookup_stream');
+var LRU = require('../lru');
 var once = require('once');
 var util = require('util');
 var sprintf = util.format;
 var vasync = require('vasync');
 var verror = require('verror');
+var vnodeState = require('../vnode_state');
 
 
 /**
@@ -27,8 +32,11 @@ var LKEY_VNODE_V = '/VNODE/%d';
 var LKEY_PNODE = '/PNODE';
 var LKEY_PNODE_P = '/PNODE/%s';
 var LKEY_PNODE_P_V = '/PNODE/%s/%d';
+var LKEY_PNODE_DOMAINS = 'PNODE_DOMAINS';
 var LKEY_ALGORITHM = 'ALGORITHM';
 var LKEY_VERSION = 'VERSION';
+var LKEY_GENERATION = 'GENERATION';
+var LKEY_HISTORY_G = '/HISTORY/%d';
 var LKEY_COMPLETE = 'COMPLETE';
 
 /**
@@ -36,6 +44,18 @@ var LKEY_COMPLETE = 'COMPLETE';
  */
 var LVAL_NULL = 1;
 
+/**
+ * The estimated bytes each entry of the lookup cache takes up, on top of its
+ * pnode and data.
+ */
+var CACHE_ENTRY_OVERHEAD = 128;
+
+/**
+ * The max number of vnodes read at once by the calls that go over many of
+ * them, see forEachBounded().
+ */
+var READ_CONCURRENCY = 100;
+
 /**
  * leveldb default config
  */
@@ -65,12 +85,33 @@ var LEVEL_CONFIG = {
  *                 can't be changed once set.
  * @param {String[]} options.pnodes The optional array of physical nodes in the
  *                   ring, or the ring topology array.
+ * @param {Object} options.pnodeDomains The optional map of {pnode -> domain}
+ *                 failure domain labels of the pnodes.
+ * @param {Object} options.pnodeWeights The optional map of {pnode -> weight}
+ *                 used to allocate the vnodes of a new ring.
+ * @param {Object} options.cache The optional options of the cache of the
+ *                 {pnode, data} of vnodes used by getNode(). Without it,
+ *                 nothing is cached.
+ * @param {Number} options.cache.maxEntries The optional max number of vnodes
+ *                 cached.
+ * @param {Number} options.cache.maxBytes The optional max estimated bytes of
+ *                 the cache. At least one of the maxes must be set.
  * @param {Object} topology The topology of a previous hash ring. Used to
  *                 restore an old hash ring.
  * @param {Object} topology.pnodeToVnodeMap The mapping of pnode to vnodes of
  *                 the serialized topology.
  * @param {Number} topology.vnodes The number of vnodes in the serialized
  *                 topology.
+ *
+ * Like the in memory ring, ConsistentHash is an EventEmitter. Events are only
+ * emitted once the leveldb batch of a change has been written:
+ * - 'pnodeAdded' {pnode, before, after}, where before and after are the arrays
+ *   of pnodes in the ring.
+ * - 'pnodeRemoved' {pnode, before, after}, as above.
+ * - 'vnodeRemapped' {pnode, vnodes, before, after}, where pnode is the new
+ *   owner of the vnodes, and before and after are the maps of {vnode -> pnode}.
+ * - 'dataChanged' {vnode, pnode, before, after}, where before and after are
+ *   the data of the vnode, or null if it had none.
  */
 function ConsistentHash(options, cb) {
     dtrace._fash_probes['new-start'].fire(function() { return([]); });
@@ -78,6 +119,8 @@ function ConsistentHash(options, cb) {
     assert.optionalObject(options.leveldbCfg, 'options.leveldbCfg');
     assert.string(options.location, 'options.location');
     assert.optionalBool(options.loadFromDb, 'options.loadFromDb');
+    assert.optionalObject(options.cache, 'options.cache');
+    EventEmitter.call(this);
 
     this.options_ = options;
     this.log = options.log;
@@ -113,6 +156,23 @@ function ConsistentHash(options, cb) {
     self.leveldbCfg_.keyEncoding = LEVEL_CONFIG.keyEncoding;
     self.leveldbCfg_.valueEncoding = LEVEL_CONFIG.valueEncoding;
 
+    /**
+     * Changes to the ring are committed one at a time, so a change always
+     * reads what the change before it has written.
+     */
+    self.commitQueue_ = vasync.queue(function(task, cb) {
+        return task(cb);
+    }, 1);
+
+    /**
+     * The optional lookup cache of {vnode -> {pnode, data}}. It's cleared by
+     * every change made through this ring, which also bumps cacheEpoch_, so
+     * that a lookup that read the db before the change doesn't cache what it
+     * read.
+     */
+    self.cache_ = options.cache ? new LRU(options.cache) : null;
+    self.cacheEpoch_ = 0;
+
     /**
      * 1) create 'VNODE_COUNT' key which keeps track of the # of vnodes.
      * 2) create /VNODE/V keys which map vnodes to pnodes. The value is the
@@ -122,9 +182,11 @@ function ConsistentHash(options, cb) {
      * value.
      * 4) create /PNODE/<PNODE> keys for all pnodes. The value is the set of
      * all vnodes that belong to this pnode. create /PNODE key which is an
-     * array of all the pnodes.
+     * array of all the pnodes. create the PNODE_DOMAINS key which maps pnodes
+     * to their failure domains.
      * 5) create algorithm key which contains the algorithm.
-     * 6) create version key which contains the version.
+     * 6) create version key which contains the version, and generation key
+     * which contains the generation of the ring.
      * 7) create complete key.
      */
     function createNewRing(callback) {
@@ -135,20 +197,18 @@ function ConsistentHash(options, cb) {
          */
         self.algorithm_ = options.algorithm;
 
-        /*
-         * The maximum output size of the hash algorithm. Used to determine the
-         * hash interval between each vnode.
-         */
-        self.algorithmMax_ = bignum(options.algorithm.MAX, 16);
-
         /*
          * The number of virtual nodes to provision in the ring. Once set, this
          * can't be changed.
          */
         self.vnodeCount_ = options.vnodes || options.topology.vnodes || 100000;
-        self.vnodesBignum_ = bignum(self.vnodeCount_, 10);
+
+        /*
+         * The hash interval between each vnode, in hex. The maximum output
+         * size of the hash algorithm divided by the number of vnodes.
+         */
         self.algorithm_.VNODE_HASH_INTERVAL =
-            self.algorithmMax_.div(self.vnodesBignum_);
+            common.findHashInterval(options.algorithm.MAX, self.vnodeCount_);
 
         /*
          * The String array of physical nodes in the ring.
@@ -206,6 +266,10 @@ function ConsistentHash(options, cb) {
                  * let them finish before enqueueing more puts.
                  */
                 var batch = _.db.batch();
+                // vnodes are allocated to pnodes in proportion to their
+                // weights, with equal weights this is vnode % pnodes.length.
+                var allocate = common.createAllocator(self.pnodes_,
+                                                      options.pnodeWeights);
                 // use this emitter to control the serial puts of vnodes.
                 var emitter = new EventEmitter();
                 emitter.on('enqueue', function (vnode) {
@@ -239,7 +303,7 @@ function ConsistentHash(options, cb) {
                 });
 
                 var allocateVnodeImpl = function (vnode, _cb1) {
-                    var pnode = self.pnodes_[vnode % self.pnodes_.length];
+                    var pnode = allocate();
                     var hashspace = common.findHashspace({
                         vnode: vnode,
                         vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
@@ -283,7 +347,9 @@ function ConsistentHash(options, cb) {
             // step 4
             function writePnodeKeys(_, _cb) {
                 log.trace('writePnodeKeys');
-                _cb = once(_cb);
+                // write every vnode list in one batch, so the ring is only
+                // used once all of them have landed.
+                var batch = _.db.batch();
                 var pnodeMap = {};
                 for (var i = 0; i < self.pnodes_.length; i++) {
                     var pnode = self.pnodes_[i];
@@ -296,22 +362,28 @@ function ConsistentHash(options, cb) {
                         pnode: '/PNODE/' + pnode,
                         vnodes: _.pnodeToVnodeMap[pnode]
                     }, 'writing vnode list for pnode');
-                    _.db.put(sprintf(LKEY_PNODE_P, pnode),
-                             _.pnodeToVnodeMap[pnode],
-                            function(err)
-                    {
-                        if (err) {
-                            err = new verror.VError(err);
-                        }
-                        return _cb(err);
-                    });
+                    // a heavily outweighed pnode may get no vnodes at all.
+                    batch.put(sprintf(LKEY_PNODE_P, pnode),
+                              _.pnodeToVnodeMap[pnode] || []);
                 }
-                 _.db.put(LKEY_PNODE, Object.keys(pnodeMap), function(err) {
+                batch.put(LKEY_PNODE, Object.keys(pnodeMap));
+                batch.write(function(err) {
+                    if (err) {
+                        err = new verror.VError(err);
+                    }
+                    return _cb(err);
+                });
+                return (undefined);
+            },
+            function writePnodeDomains(_, _cb) {
+                _.db.put(LKEY_PNODE_DOMAINS, options.pnodeDomains || {},
+                         function(err)
+                {
                     if (err) {
                         err = new verror.VError(err);
                     }
                     return _cb(err);
-                 });
+                });
             },
             function writeVnodeDataArray(_, _cb) {
                 _cb = once(_cb);
@@ -326,11 +398,10 @@ function ConsistentHash(options, cb) {
                 // step 5
                 // hacky clone the algorithm object.
                 var algorithm = JSON.parse(JSON.stringify(self.algorithm_));
-                algorithm.VNODE_HASH_INTERVAL =
-                    self.algorithm_.VNODE_HASH_INTERVAL.toString(16);
                 _.batch = _.db.batch().put(LKEY_ALGORITHM, algorithm);
                 // step 6
-                _.batch = _.batch.put(LKEY_VERSION, fash.VERSION);
+                _.batch = _.batch.put(LKEY_VERSION, fash.VERSION)
+                    .put(LKEY_GENERATION, 0);
                 // step 7
                 _.batch = _.batch.put(LKEY_COMPLETE, 1);
                 return _cb();
@@ -363,12 +434,14 @@ function ConsistentHash(options, cb) {
     /**
      * 1) write vnodeCount.
      * 2) write /PNODE/PNODE, /PNODE/PNODE/VNODE, /VNODE/VNODE keys.
-     * 3) write metadata.
+     * 3) write the pnode failure domains.
+     * 4) write metadata.
      */
     function deserialize(callback) {
         var topology = options.topology;
         log.info('ConsistentHash.new.deserialize: deserializing an already ' +
                  'existing ring.');
+        self.vnodeCount_ = topology.vnodes;
 
         vasync.pipeline({funcs: [
             function openDb(_, _cb) {
@@ -406,20 +479,35 @@ function ConsistentHash(options, cb) {
                 var vnodeData = [];
                 var pvMap = topology.pnodeToVnodeMap;
 
-                // /PNODE
-                var pnodes = Object.keys(pvMap);
-                _.db.put(LKEY_PNODE, pnodes, function(err) {
+                // the puts are issued all at once, and may land in any
+                // order, so only move on once every one of them has.
+                var pending = 1;
+                function put(key, value) {
+                    pending++;
+                    _.db.put(key, value, done);
+                }
+                function done(err) {
+                    // a put has already failed, and been called back with.
+                    if (pending < 0) {
+                        return (undefined);
+                    }
                     if (err) {
-                        err = new verror.VError(err);
-                        return _cb(err);
+                        pending = -1;
+                        return _cb(new verror.VError(err));
                     }
-                });
+                    if (--pending === 0) {
+                        return _cb();
+                    }
+                    return (undefined);
+                }
+
+                // /PNODE
+                var pnodes = Object.keys(pvMap);
+                put(LKEY_PNODE, pnodes);
 
                 // /VNODE/V, /PNODE/P, /P/P/V
-                var pcount = pnodes.length;
                 pnodes.forEach(function(pnode) {
                     var vnodes = Object.keys(pvMap[pnode]);
-                    var vcount = vnodes.length;
 
                     // write /P/P and /V/V. and /P/P/V
                     vnodes.forEach(function(vnode, index) {
@@ -429,73 +517,54 @@ function ConsistentHash(options, cb) {
                         vnodes[index] = parseInt(vnode, 10);
 
                         // write /V/V
-                        _.db.put(sprintf(LKEY_VNODE_V, vnode), pnode,
-                               function(err)
-                        {
-                            if (err) {
-                                err = new verror.VError(err);
-                                return _cb(err);
-                            }
-                        });
+                        put(sprintf(LKEY_VNODE_V, vnode), pnode);
                         // write /P/P/V
-                        _.db.put(
-                            sprintf(LKEY_PNODE_P_V, pnode, vnode),
-                            pvMap[pnode][vnode],
-                            function(err) {
-                                if (err) {
-                                    err = new verror.VError(err);
-                                    return _cb(err);
-                                }
-                            }
-                        );
+                        put(sprintf(LKEY_PNODE_P_V, pnode, vnode),
+                            pvMap[pnode][vnode]);
 
                         // put the vnode in the VNODE_DATA array if it contains
                         // data
                         if (pvMap[pnode][vnode] !== LVAL_NULL) {
-                            vnodeData.push(vnode);
-                        }
-
-                        // write /P/P once all the vnodes have been parsed back
-                        // into ints.
-                        vcount--;
-                        if (vcount === 0) {
-                            _.db.put(
-                                sprintf(LKEY_PNODE_P, pnode),
-                                vnodes,
-                                function(err) {
-                                    if (err) {
-                                        err = new verror.VError(err);
-                                        return _cb(err);
-                                    }
-                                }
-                            );
-                        }
-
-                        // write the VNDOE_DATA array.
-                        if (vcount === 0 && --pcount === 0) {
-                            _.db.put(LKEY_VNODE_DATA, vnodeData, function(err) {
-                                if (err) {
-                                    err = new verror.VError(err);
-                                }
-                                return _cb(err);
-                            });
+                            vnodeData.push(vnodes[index]);
                         }
                     });
+
+                    // write /P/P once all the vnodes have been parsed back
+                    // into ints.
+                    put(sprintf(LKEY_PNODE_P, pnode), vnodes);
                 });
+
+                // write the VNDOE_DATA array.
+                put(LKEY_VNODE_DATA, vnodeData);
+                return done();
             },
             // step 3
+            function writePnodeDomains(_, _cb) {
+                _.db.put(LKEY_PNODE_DOMAINS, topology.pnodeDomains || {},
+                         function(err)
+                {
+                    if (err) {
+                        err = new verror.VError(err);
+                    }
+                    return _cb(err);
+                });
+            },
+            // step 4
             function writeMetadata(_, _cb) {
                 log.info('ConsistentHash.new.deserialize: write metadata');
                 // hacky clone
                 self.algorithm_ = topology.algorithm;
                 var algorithm = JSON.parse(JSON.stringify(self.algorithm_));
                 var batch = self.db_.batch();
-                algorithm.VNODE_HASH_INTERVAL =
-                    self.algorithm_.VNODE_HASH_INTERVAL.toString(16);
 
                 batch.put(LKEY_ALGORITHM, algorithm).
                     put(LKEY_VERSION, fash.VERSION).
+                    put(LKEY_GENERATION, topology.generation || 0).
                     put(LKEY_COMPLETE, 1);
+                (topology.history || []).forEach(function(entry) {
+                    batch.put(sprintf(LKEY_HISTORY_G, entry.generation),
+                              entry);
+                });
                 batch.write(function(err) {
                     if (err) {
                         err = new verror.VError(err);
@@ -564,6 +633,7 @@ function ConsistentHash(options, cb) {
                     }
 
                     _.vnodeCount = vnodeCount;
+                    self.vnodeCount_ = vnodeCount;
                     return _cb(err);
                 });
             },
@@ -581,10 +651,15 @@ function ConsistentHash(options, cb) {
             function getAlgorithm(_, _cb){
                 self.db_.get(LKEY_ALGORITHM, function(err, algorithm) {
                     if (err) {
-                        err = new verror.VError(err);
+                        return _cb(new verror.VError(err));
+                    }
+                    try {
+                        algorithms.assertSupported(algorithm);
+                    } catch (e) {
+                        return _cb(e);
                     }
                     algorithm.VNODE_HASH_INTERVAL =
-                        bignum(algorithm.VNODE_HASH_INTERVAL, 16);
+                        hex.normalize(algorithm.VNODE_HASH_INTERVAL);
                     self.algorithm_ = algorithm;
                     return _cb(err);
                 });
@@ -612,6 +687,8 @@ function ConsistentHash(options, cb) {
     }
 }
 
+util.inherits(ConsistentHash, EventEmitter);
+
 /**
  * @exports ConsistentHash as Consistenthash
  */
@@ -628,129 +705,306 @@ ConsistentHash.prototype.getNode = function getNode(key, callback) {
         return ([key]);
     });
     var self = this;
-    var value = crypto.createHash(this.algorithm_.NAME).update(key).digest('hex');
+    var value = algorithms.digest(this.algorithm_.NAME, key);
     // find the node that corresponds to this hash
     var vnode = common.findVnode({
-        hash: value, vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL
+        hash: value,
+        vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
+        vnodeCount: self.vnodeCount_
     });
-    self.db_.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
+    self.getVnode_(vnode, function(err, entry) {
+        dtrace._fash_probes['getnode-done'].fire(function() {
+            return([err ? err.message : null, key, value,
+                   entry ? entry.pnode : null, vnode,
+                   entry ? entry.data : null]);
+        });
         if (err) {
-            err = new verror.VError(err);
-            dtrace._fash_probes['getnode-done'].fire(function() {
-                return([err.message, key, value, null, vnode]);
-            });
             return callback(err);
         }
-        self.db_.get(sprintf(LKEY_PNODE_P_V, pnode, vnode),
-                     function(_err, data)
-        {
-            if (_err) {
-                _err = new verror.VError(_err);
-            }
+        return callback(null, {
+            pnode: entry.pnode,
+            vnode: vnode,
+            data: entry.data
+        });
+    });
+};
 
-            dtrace._fash_probes['getnode-done'].fire(function() {
-                return([_err ? _err.message : null,
-                       key, value, pnode, vnode, data]);
-            });
-            return callback(_err, {pnode: pnode, vnode: vnode, data: data});
+/**
+ * Gets the nodes of many keys at once. Every key is hashed, and the pnode and
+ * data of each distinct vnode the keys map to are only read once, with at most
+ * 100 vnodes read at a time, so a large batch of keys doesn't flood leveldb.
+ *
+ * @param {String[]} keys The keys.
+ * @param {function} cb The callback f(err, nodes), where nodes are the [{pnode,
+ *                   vnode, data}] the keys map to, in the order of the keys.
+ */
+ConsistentHash.prototype.getNodeMulti = function getNodeMulti(keys, cb) {
+    assert.arrayOfString(keys, 'keys');
+    assert.func(cb, 'callback');
+    dtrace._fash_probes['getnodemulti-start'].fire(function() {
+        return ([keys.length]);
+    });
+    var self = this;
+    var log = self.log;
+    log.debug({keys: keys.length}, 'ConsistentHash.getNodeMulti: entering');
+
+    var entries = {};
+    var vnodes = [];
+    var keyVnodes = keys.map(function(key) {
+        var vnode = common.findVnode({
+            hash: algorithms.digest(self.algorithm_.NAME, key),
+            vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
+            vnodeCount: self.vnodeCount_
         });
+        if (!entries.hasOwnProperty(vnode)) {
+            entries[vnode] = null;
+            vnodes.push(vnode);
+        }
+        return (vnode);
+    });
 
-        return (undefined);
+    forEachBounded(vnodes, function(vnode, _cb) {
+        self.getVnode_(vnode, function(err, entry) {
+            entries[vnode] = entry;
+            return _cb(err);
+        });
+    }, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to get nodes');
+        }
+        log.debug({
+            err: err,
+            keys: keys.length,
+            vnodes: vnodes.length
+        }, 'ConsistentHash.getNodeMulti: exiting');
+        dtrace._fash_probes['getnodemulti-done'].fire(function() {
+            return ([err ? err.message : null, keys.length, vnodes.length]);
+        });
+        if (err) {
+            return cb(err);
+        }
+        return cb(null, keyVnodes.map(function(vnode) {
+            return ({
+                pnode: entries[vnode].pnode,
+                vnode: vnode,
+                data: entries[vnode].data
+            });
+        }));
     });
 };
 
+/**
+ * Creates an object mode Transform stream that maps keys, as Strings or
+ * Buffers, to the {key, pnode, vnode, data} they belong to on the ring, in the
+ * order of the keys. Concurrency bounds
+ * the number of leveldb reads in flight at once.
+ *
+ * @param {Object} options The optional options object.
+ * @param {Number} options.concurrency The optional max number of lookups in
+ *                 flight at once, defaults to 100.
+ *
+ * @returns {LookupStream} the stream.
+ */
+ConsistentHash.prototype.createLookupStream =
+    function createLookupStream(options) {
+    options = options || {};
+    assert.object(options, 'options');
+    return new LookupStream({
+        ring: this,
+        concurrency: options.concurrency
+    });
+};
 
 /**
- * Adds a data element to a vnode. If data already existed for the vnode, this
- * will over-write it. This is useful if you want to add stateful changes to a
- * set of particular vnodes -- for example, setting some vnodes to read only.
+ * Gets an ordered preference list of n distinct pnodes for a key. The ring is
+ * walked clockwise from the vnode the key hashes to, and each pnode is added
+ * to the list at the first vnode it is found on. Pnodes that share a failure
+ * domain with a pnode already in the list are skipped. Fewer than n nodes are
+ * returned if the ring does not contain n failure domains.
  *
- * @param {Number} vnode The vnode to add data to.
- * @param {Object} data The data to add to the vnode.
- * @param {function} cb The callback f(err).
+ * @param {String} key The key.
+ * @param {Number} n The number of distinct pnodes to return.
+ * @param {function} cb The callback f(err, [{pnode, vnode, data}]).
  */
-ConsistentHash.prototype.addData = function addData(vnode, data, cb) {
-    dtrace._fash_probes['adddata-start'].fire(function() {
-        return([vnode, data]);
+ConsistentHash.prototype.getNodes = function getNodes(key, n, callback) {
+    dtrace._fash_probes['getnodes-start'].fire(function() {
+        return ([key, n]);
     });
     var self = this;
     var log = self.log;
     var db = self.db_;
+    assert.number(n, 'n');
+    assert.func(callback, 'callback');
 
-    log.info({
-        vnode: vnode,
-        data: data
-    }, 'Consistenthash.addData: entering');
-
-    assert.number(vnode, 'vnode');
-    assert.func(cb, 'callback');
-    assert.optionalString(data, 'data');
-    if (!data) {
-        data = LVAL_NULL;
-    }
+    log.debug({key: key, n: n}, 'ConsistentHash.getNodes: entering');
+    var value = algorithms.digest(this.algorithm_.NAME, key);
+    var start = common.findVnode({
+        hash: value,
+        vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
+        vnodeCount: self.vnodeCount_
+    });
+    var nodes = [];
+    var seen = {};
 
     vasync.pipeline({funcs: [
-        function getPnode(_, _cb) {
-            db.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
+        function checkN(_, _cb) {
+            if (n < 1) {
+                return _cb(new verror.VError('n must be at least 1'));
+            }
+            return _cb();
+        },
+        function getPnodes(_, _cb) {
+            db.get(LKEY_PNODE, function(err, pnodes) {
                 if (err) {
-                    return _cb(new verror.VError(err, 'unable to add data'));
+                    return _cb(new verror.VError(err));
                 }
-                log.info({
-                    vnode: vnode,
-                    pnode: pnode
-                }, 'Consistenthash.addData: vnode maps to');
-
-                _.pnode = pnode;
+                _.pnodes = pnodes;
                 return _cb();
             });
         },
-        function getVnodeDataArray(_, _cb) {
-            db.get(LKEY_VNODE_DATA, function(err, vnodeData) {
-                if (err) {
-                    return _cb(new verror.VError(err, 'unable to add data'));
+        function getPnodeDomains(_, _cb) {
+            self.getPnodeDomains(function(err, domains) {
+                _.domains = domains;
+                _.domainCount = err ? 0 :
+                    common.countFailureDomains(_.pnodes, domains);
+                return _cb(err);
+            });
+        },
+        function walkRing(_, _cb) {
+            var i = 0;
+            function next() {
+                if (nodes.length === n || nodes.length === _.domainCount ||
+                    i === self.vnodeCount_) {
+                    return _cb();
                 }
-                log.info({
-                    vnodeData: vnodeData
-                }, 'ConsistentHash.addData: vnodeDataArray');
-                var idx = vnodeData.indexOf(vnode);
-                if (data === LVAL_NULL) {
-                    // if the vnode exists, then remove it
-                    if (idx !== -1) {
-                        vnodeData.splice(idx, 1);
-                        _.vnodeData = vnodeData;
+                var vnode = (start + i++) % self.vnodeCount_;
+                db.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
+                    if (err) {
+                        return _cb(new verror.VError(err));
                     }
-                } else { // data is not null and the vnode isn't in the array
-                    if (idx === -1) {
-                        vnodeData.push(vnode);
-                        _.vnodeData = vnodeData;
+                    var domain = common.failureDomain(_.domains, pnode);
+                    if (seen[domain]) {
+                        return next();
                     }
-                }
+                    seen[domain] = true;
+                    db.get(sprintf(LKEY_PNODE_P_V, pnode, vnode),
+                           function(_err, data)
+                    {
+                        if (_err) {
+                            return _cb(new verror.VError(_err));
+                        }
+                        nodes.push({
+                            pnode: pnode,
+                            vnode: vnode,
+                            data: data === LVAL_NULL ? null : data
+                        });
+                        return next();
+                    });
+                    return (undefined);
+                });
+                return (undefined);
+            }
+            next();
+        }
+    ], arg: {}}, function(err) {
+        log.debug({
+            err: err,
+            key: key,
+            nodes: nodes
+        }, 'ConsistentHash.getNodes: exiting');
+        dtrace._fash_probes['getnodes-done'].fire(function() {
+            return ([err ? err.message : null, key, n,
+                    JSON.stringify(nodes.map(function(node) {
+                        return (node.pnode);
+                    }))]);
+        });
+        return callback(err, err ? undefined : nodes);
+    });
+};
 
-                return _cb();
-            });
-        },
-        function setData(_, _cb) {
-            _.batch = db.batch().put(sprintf(LKEY_PNODE_P_V, _.pnode, vnode),
-                                     data);
+/**
+ * Adds a data element to vnodes. If data already existed for a vnode, this
+ * will over-write it. This is useful if you want to add stateful changes to a
+ * set of particular vnodes -- for example, setting some vnodes to read only,
+ * see also setVnodeState(). Either every vnode gets the data or, if any of
+ * them isn't in the ring, none do.
+ *
+ * @param {Number[] || Number} vnodes The vnodes to add data to.
+ * @param {Object} data The data to add to the vnodes, or null to remove their
+ *                 data.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The callback f(err).
+ */
+ConsistentHash.prototype.addData = function addData(vnodes, data, opts, cb) {
+    dtrace._fash_probes['adddata-start'].fire(function() {
+        return([JSON.stringify(vnodes), data]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
 
-            if (_.vnodeData) {
-                _.batch.put(LKEY_VNODE_DATA, _.vnodeData);
-            }
+    log.info({
+        vnodes: vnodes,
+        data: data
+    }, 'Consistenthash.addData: entering');
 
-            return _cb();
-        },
-        function commit(_, _cb) {
-            _.batch.write(function(err) {
-                if (err) {
-                    err = new verror.VError(err, 'addData: unable to commit');
-                }
+    var op = {op: 'addData', data: data};
+    if (Array.isArray(vnodes)) {
+        assert.arrayOfNumber(vnodes, 'vnodes');
+        op.vnodes = vnodes;
+    } else {
+        assert.number(vnodes, 'vnode');
+        op.vnode = vnodes;
+    }
+    assert.func(cb, 'callback');
 
-                return _cb(err);
-            });
-        }
-    ], arg:{}}, function(err) {
+    self.commit_([op], opts, function(err) {
         dtrace._fash_probes['adddata-done'].fire(function() {
-            return([err ? err.message : null, vnode, data]);
+            return([err ? err.message : null, JSON.stringify(vnodes),
+                   data || LVAL_NULL]);
+        });
+        return cb(err);
+    });
+};
+
+/**
+ * Removes the data of vnodes. Vnodes without data are left alone. Either the
+ * data of every vnode is removed or, if any of them isn't in the ring, none
+ * is.
+ *
+ * @param {Number[] || Number} vnodes The vnodes to remove the data of.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The callback f(err).
+ */
+ConsistentHash.prototype.removeData = function removeData(vnodes, opts, cb) {
+    dtrace._fash_probes['removedata-start'].fire(function() {
+        return ([JSON.stringify(vnodes)]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+
+    log.info({vnodes: vnodes}, 'Consistenthash.removeData: entering');
+
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.func(cb, 'callback');
+
+    self.commit_([{op: 'removeData', vnodes: vnodes}], opts, function(err) {
+        dtrace._fash_probes['removedata-done'].fire(function() {
+            return ([err ? err.message : null, JSON.stringify(vnodes)]);
         });
         return cb(err);
     });
@@ -779,167 +1033,322 @@ ConsistentHash.prototype.getDataVnodes = function getDataVnodes(cb) {
 };
 
 /**
- * Remaps a pnode on the hash ring. The node can be an existing pnode, or a new
- * one.
+ * Sets the state of vnodes, see vnode_state.js. Vnodes are writable until
+ * they are set otherwise, and can only move between states as the transitions
+ * there allow. The state is kept in the data of the vnodes, as {state, meta},
+ * which must be empty or a state; vnodes with other data are refused. Setting
+ * a vnode writable without meta clears its data. All of the changes are
+ * committed in one leveldb batch, so either every vnode is set or none are.
  *
- * @param {String} node The name of the node.
- * @param {Number} The vnode to add to this pnode. Implicitly removes the
- *                   vnode from its previous pnode owner.
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @param {String} state The state, one of fash.VNODE_STATE.
+ * @param {Object} meta The optional meta of the state, e.g. where the vnodes
+ *                 are migrating to.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
  * @param {function} cb The callback f(err).
  */
-ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnode, cb) {
-    dtrace._fash_probes['remapvnode-start'].fire(function() {
-        return ([newPnode, vnode]);
+ConsistentHash.prototype.setVnodeState = function setVnodeState(vnodes, state,
+                                                                meta, opts, cb)
+{
+    if (typeof (meta) === 'function') {
+        cb = meta;
+        meta = undefined;
+        opts = {};
+    } else if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    dtrace._fash_probes['setvnodestate-start'].fire(function() {
+        return ([JSON.stringify(vnodes), state]);
     });
     var self = this;
     var log = self.log;
-    var db = self.db_;
+
     log.info({
-        newNode: newPnode,
-        vnode: vnode
-    }, 'ConsistentHash.remapVnode: entering');
-    assert.string(newPnode, 'newPnode');
+        vnodes: vnodes,
+        state: state,
+        meta: meta
+    }, 'ConsistentHash.setVnodeState: entering');
+
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    vnodeState.assertState(state);
+    assert.optionalObject(meta, 'meta');
+    assert.func(cb, 'callback');
+
+    self.commit_([{
+        op: 'setVnodeState',
+        vnodes: vnodes,
+        state: state,
+        meta: meta
+    }], opts, function(err) {
+        log.info({err: err}, 'ConsistentHash.setVnodeState: exiting');
+        dtrace._fash_probes['setvnodestate-done'].fire(function() {
+            return ([err ? err.message : null, JSON.stringify(vnodes), state]);
+        });
+        return cb(err);
+    });
+};
+
+/**
+ * Gets the state of a vnode.
+ *
+ * @param {Number} vnode The vnode.
+ * @param {function} cb The callback f(err, state), where state is the {vnode,
+ *                   pnode, state, meta} of the vnode, and meta is null if the
+ *                   state has none.
+ */
+ConsistentHash.prototype.getVnodeState = function getVnodeState(vnode, cb) {
     assert.number(vnode, 'vnode');
     assert.func(cb, 'callback');
+    this.getVnode_(vnode, function(err, entry) {
+        if (err) {
+            return cb(new verror.VError(err, 'unable to get state of vnode %d',
+                                        vnode));
+        }
+        var current = vnodeState.fromData(entry.data);
+        return cb(null, {
+            vnode: vnode,
+            pnode: entry.pnode,
+            state: current.state,
+            meta: current.meta
+        });
+    });
+};
+
+/**
+ * Gets the vnodes in a state. Only the vnodes with data are read one by one;
+ * the rest are writable, and are read from the vnode lists of the pnodes.
+ *
+ * @param {String} state The state, one of fash.VNODE_STATE.
+ * @param {function} cb The callback f(err, states), where states are the
+ *                   [{vnode, pnode, state, meta}] of the vnodes in the state,
+ *                   in order of vnode.
+ */
+ConsistentHash.prototype.getVnodesByState = function getVnodesByState(state,
+                                                                      cb)
+{
+    var self = this;
+    var log = self.log;
+    vnodeState.assertState(state);
+    assert.func(cb, 'callback');
+    log.info({state: state}, 'ConsistentHash.getVnodesByState: entering');
 
-    var oldPnode;
-    /**
-     * assert the vnodes, ensuring that:
-     * 1) vnode actually exists.
-     * 2) vnode doesn't already belong to the newPnode.
-     * 3) get the old pnode the vnode belongs to.
-     * 4) get the data of the vnode.
-     * 5) delete the old mappings, /pnode/oldp/n, remove vnode from the array
-     * in /pnode/oldp.
-     * 6) add the new mappings, /pnode/newp/n, add vnode to the array in
-     * /pnode/newp, and map /vnode/n to the new pnode.
-     */
+    var states = {};
     vasync.pipeline({funcs: [
-        function assertVnodeExists(_, _cb) {
-            if ((vnode > self.vnodeCount_) || (vnode < 0)) {
-                return _cb(new verror.VError('vnode ' + vnode +
-                                            ' does not exist in the ring'));
-            } else {
-                return _cb();
-            }
-        },
-        function initBatch(_, _cb) {
-            _.batch = db.batch();
-            return _cb();
+        function getDataVnodes(_, _cb) {
+            self.getDataVnodes(function(err, vnodes) {
+                // vnodes are strings in rings that were deserialized.
+                _.vnodes = err ? [] : vnodes.map(function(v) {
+                    return (parseInt(v, 10));
+                });
+                return _cb(err);
+            });
         },
-        function checkAndCreateNewPnode(_, _cb) {
-            db.get(sprintf(LKEY_PNODE_P, newPnode), function(err) {
-                if (err && err.name && err.name === 'NotFoundError') {
-                    _.batch = _.batch.put(sprintf(LKEY_PNODE_P, newPnode), []);
-                    _.isNew = true;
-                    return _cb();
-                } else {
-                    if (err) {
-                        return _cb(new verror.VError(err));
-                    } else {
-                        return _cb();
-                    }
+        function getStates(_, _cb) {
+            vasync.forEachParallel({
+                inputs: _.vnodes,
+                func: function(vnode, __cb) {
+                    self.getVnodeState(vnode, function(err, s) {
+                        states[vnode] = s;
+                        return __cb(err);
+                    });
                 }
-            });
+            }, _cb);
         },
-        function getOldVnodeMapping(_, _cb) {
-            // get the previous vnode to pnode mapping
-            db.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
-                if (err) {
-                    return _cb(new verror.VError(err));
-                }
-                _.oldPnode = pnode;
-                oldPnode = pnode;
-                // check that the vnode doesn't already belong to the newPnode.
-                if (pnode === newPnode) {
-                    return _cb(new verror.VError('vnode ' + vnode +
-                                                ' already belongs to pnode'));
-                } else {
-                    return _cb();
-                }
-            });
-        },
-        function getVnodeData(_, _cb) {
-            db.get(sprintf(LKEY_PNODE_P_V, _.oldPnode, vnode), function(err, d)
-            {
+        function getWritable(_, _cb) {
+            if (state !== vnodeState.STATES.WRITABLE) {
+                return _cb();
+            }
+            self.getPnodes(function(err, pnodes) {
                 if (err) {
                     return _cb(err);
-                } else {
-                    _.data = d;
-                    return _cb();
                 }
+                vasync.forEachParallel({
+                    inputs: pnodes,
+                    func: function(pnode, __cb) {
+                        self.getVnodes(pnode, function(_err, vnodes) {
+                            (vnodes || []).forEach(function(vnode) {
+                                if (!states[vnode]) {
+                                    states[vnode] = {
+                                        vnode: vnode,
+                                        pnode: pnode,
+                                        state: vnodeState.STATES.WRITABLE,
+                                        meta: null
+                                    };
+                                }
+                            });
+                            return __cb(_err);
+                        });
+                    }
+                }, _cb);
+                return (undefined);
             });
-        },
-        function delOldMapping(_, _cb) {
-            _.batch = _.batch.del(sprintf(LKEY_PNODE_P_V, _.oldPnode, vnode));
-            db.get(sprintf(LKEY_PNODE_P, _.oldPnode), function(err, oldVnodes) {
-                if (err) {
-                    return _cb(new verror.VError(err,
-                                                'couldn\'t get path /pnode/' +
-                                                 _.oldPnode));
-                }
-                var idx = oldVnodes.indexOf(vnode);
-                if (idx === -1) {
-                    return _cb(new verror.VError('vnode: ' + vnode +
-                                                ' does not ' +
-                                                'exist in old pnode: ' +
-                                                _.oldPnode));
+            return (undefined);
+        }
+    ], arg: {}}, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to get vnodes in state %s',
+                                    state);
+        }
+        var result = [];
+        if (!err) {
+            Object.keys(states).forEach(function(vnode) {
+                if (states[vnode].state === state) {
+                    result.push(states[vnode]);
                 }
-                oldVnodes.splice(idx, 1);
-                _.batch = _.batch
-                .put(sprintf(LKEY_PNODE_P, _.oldPnode), oldVnodes)
-                .del(sprintf(LKEY_PNODE_P_V, _.oldPnode, vnode));
-                return _cb();
             });
-        },
-        function addNewMapping(_, _cb) {
-            db.get(sprintf(LKEY_PNODE_P, newPnode), function(err, vnodes) {
-                /*
-                 * ignore NotFoundErrors if the pnode is new, since it hasn't
-                 * been created yet
-                 */
-                if (err &&
-                    !(_.isNew && err && err.name &&
-                      err.name === 'NotFoundError'))
-                {
-                    return _cb(new verror.VError(err));
-                }
-                if (_.isNew && !vnodes) {
-                    vnodes = [];
-                }
-                vnodes.push(vnode);
-                _.batch = _.batch.put(sprintf(LKEY_PNODE_P, newPnode), vnodes)
-                .put(sprintf(LKEY_PNODE_P_V, newPnode, vnode), _.data)
-                .put(sprintf(LKEY_VNODE_V, vnode), newPnode);
-                return _cb();
+            result.sort(function(a, b) {
+                return (a.vnode - b.vnode);
             });
-        },
-        function addPnodeToPnodeArray(_, _cb) {
-            db.get(LKEY_PNODE, function(err, pnodes) {
-                if (err) {
-                    return _cb(new verror.VError(err));
-                }
+        }
+        log.info({
+            err: err,
+            vnodes: result.length
+        }, 'ConsistentHash.getVnodesByState: exiting');
+        return cb(err, err ? undefined : result);
+    });
+};
 
-                // add the new pnode to the pnode array if it doesn't exist.
-                if (pnodes.indexOf(newPnode) === -1) {
-                    pnodes.push(newPnode);
-                    _.batch = _.batch.put(LKEY_PNODE, pnodes);
+/**
+ * Finds the vnodes that match the options. Each option narrows the search, so
+ * with none every vnode is found. The vnodes of each pnode are read with one
+ * range scan over its /PNODE/P/V keys, rather than a get per vnode.
+ *
+ * @param {Object} options The optional options object.
+ * @param {String} options.pnode The optional pnode the vnodes must belong to.
+ * @param {Object} options.data The optional data the vnodes must have, or null
+ *                 for vnodes without data. Data is compared as JSON.
+ * @param {function} options.predicate The optional f(node), which is given the
+ *                   {vnode, pnode, data} of a vnode and returns whether it is
+ *                   wanted.
+ * @param {function} cb The callback f(err, nodes), where nodes are the
+ *                   [{vnode, pnode, data}] of the vnodes found, in order of
+ *                   vnode.
+ */
+ConsistentHash.prototype.findVnodes = function findVnodes(options, cb) {
+    var self = this;
+    var log = self.log;
+    var db = self.db_;
+    if (typeof (options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+
+    log.info({options: options}, 'ConsistentHash.findVnodes: entering');
+    assert.object(options, 'options');
+    assert.optionalString(options.pnode, 'options.pnode');
+    assert.func(cb, 'callback');
+    var filter = common.createVnodeFilter(options);
+
+    var nodes = [];
+    vasync.pipeline({funcs: [
+        function getPnodes(_, _cb) {
+            if (options.pnode === undefined) {
+                return db.get(LKEY_PNODE, function(err, pnodes) {
+                    _.pnodes = pnodes;
+                    return _cb(err);
+                });
+            }
+            return db.get(sprintf(LKEY_PNODE_P, options.pnode), function(err) {
+                if (err) {
+                    return _cb(new verror.VError(err, 'pnode %s is not in ' +
+                                                 'the ring', options.pnode));
                 }
+                _.pnodes = [options.pnode];
                 return _cb();
             });
         },
-        function commit(_, _cb) {
-            _.batch.write(function(err) {
-                if (err) {
-                    return _cb(new verror.VError(err));
-                } else {
-                    return _cb();
+        function scan(_, _cb) {
+            _.nodes = [];
+            vasync.forEachParallel({
+                inputs: _.pnodes,
+                func: function(pnode, __cb) {
+                    scanPnode(self, pnode, function(node) {
+                        _.nodes.push(node);
+                    }, __cb);
                 }
-            });
+            }, _cb);
+        },
+        function filterNodes(_, _cb) {
+            // the predicate is the caller's, and may throw.
+            try {
+                nodes = _.nodes.filter(filter);
+            } catch (e) {
+                return _cb(e);
+            }
+            return _cb();
         }
     ], arg: {}}, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to find vnodes');
+        } else {
+            nodes.sort(function(a, b) {
+                return (a.vnode - b.vnode);
+            });
+        }
+        log.info({
+            err: err,
+            vnodes: nodes.length
+        }, 'ConsistentHash.findVnodes: exiting');
+        return cb(err, err ? undefined : nodes);
+    });
+};
+
+/**
+ * Remaps vnodes to a pnode on the hash ring. The pnode can be an existing
+ * pnode, or a new one. All of the changes are committed in one leveldb batch,
+ * so either every vnode is remapped or none are.
+ *
+ * @param {String} newPnode The name of the pnode.
+ * @param {Number[] || Number} vnodes The vnodes to add to this pnode.
+ *                                    Implicitly removes the vnodes from their
+ *                                    previous pnode owners.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The callback f(err).
+ */
+ConsistentHash.prototype.remapVnode = function remapVnode(newPnode, vnodes,
+                                                          opts, cb)
+{
+    dtrace._fash_probes['remapvnode-start'].fire(function() {
+        return ([newPnode, vnodes]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    log.info({
+        newNode: newPnode,
+        vnodes: vnodes
+    }, 'ConsistentHash.remapVnode: entering');
+    assert.string(newPnode, 'newPnode');
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.func(cb, 'callback');
+
+    self.commit_([{
+        op: 'remapVnode',
+        pnode: newPnode,
+        vnodes: vnodes
+    }], opts, function(err, events) {
         log.info({err: err}, 'ConsistentHash.remapVnode: exiting');
         dtrace._fash_probes['remapvnode-done'].fire(function() {
+            var vnode = vnodes[vnodes.length - 1];
+            var oldPnode = null;
+            if (!err) {
+                oldPnode = events[events.length - 1].event.before[vnode];
+            }
             return ([err ? err.message : null, newPnode, oldPnode, vnode]);
         });
         return cb(err);
@@ -974,6 +1383,109 @@ ConsistentHash.prototype.getVnodes = function getVnodes(pnode, cb) {
     });
 };
 
+/**
+ * Get the range of hashes a vnode owns, see common.findVnodeRange().
+ *
+ * @param {Number} vnode The vnode.
+ * @param {function} cb The callback f(err, range), where range is the
+ *                   {start, end} hex bounds of the range, inclusive.
+ */
+ConsistentHash.prototype.getVnodeRange = function getVnodeRange(vnode, cb) {
+    var self = this;
+    assert.number(vnode, 'vnode');
+    assert.func(cb, 'callback');
+
+    var range;
+    try {
+        range = common.findVnodeRange({
+            vnode: vnode,
+            vnodeCount: self.vnodeCount_,
+            vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
+            algorithmMax: self.algorithm_.MAX
+        });
+    } catch (e) {
+        return cb(e);
+    }
+    return cb(null, range);
+};
+
+/**
+ * Get the ranges of hashes a pnode owns, with the ranges of its adjacent
+ * vnodes merged, see common.findVnodesRanges().
+ *
+ * @param {String} pnode The pnode.
+ * @param {function} cb The callback f(err, ranges), where ranges are the
+ *                   {start, end} hex bounds of each range, in order.
+ */
+ConsistentHash.prototype.getPnodeRanges = function getPnodeRanges(pnode, cb) {
+    var self = this;
+    assert.string(pnode, 'pnode');
+    assert.func(cb, 'callback');
+
+    self.getVnodes(pnode, function(err, vnodes) {
+        if (err) {
+            return cb(err);
+        }
+        return cb(null, common.findVnodesRanges({
+            vnodes: vnodes,
+            vnodeCount: self.vnodeCount_,
+            vnodeHashInterval: self.algorithm_.VNODE_HASH_INTERVAL,
+            algorithmMax: self.algorithm_.MAX
+        }));
+    });
+};
+
+/**
+ * Get the ownership statistics of the ring: the number of vnodes, share of the
+ * hashspace, number of runs of adjacent vnodes and number of vnodes with data
+ * of each pnode, and the imbalance of the ring. See common.computeStats().
+ *
+ * @param {function} cb The callback f(err, stats).
+ */
+ConsistentHash.prototype.stats = function stats(cb) {
+    var self = this;
+    assert.func(cb, 'callback');
+
+    var arg = {};
+    vasync.pipeline({funcs: [
+        function getPnodes(_, _cb) {
+            self.getPnodes(function(err, pnodes) {
+                _.pnodes = pnodes;
+                return _cb(err);
+            });
+        },
+        function getVnodes(_, _cb) {
+            _.pnodeToVnodes = {};
+            vasync.forEachParallel({
+                inputs: _.pnodes,
+                func: function(pnode, __cb) {
+                    self.getVnodes(pnode, function(err, vnodes) {
+                        _.pnodeToVnodes[pnode] = vnodes;
+                        return __cb(err);
+                    });
+                }
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function getDataVnodes(_, _cb) {
+            self.getDataVnodes(function(err, vnodes) {
+                _.dataVnodes = vnodes;
+                return _cb(err);
+            });
+        }
+    ], arg: arg}, function(err) {
+        if (err) {
+            return cb(new verror.VError(err, 'unable to get stats'));
+        }
+        return cb(null, common.computeStats({
+            vnodes: self.vnodeCount_,
+            pnodeToVnodes: arg.pnodeToVnodes,
+            dataVnodes: arg.dataVnodes
+        }));
+    });
+};
+
 /**
  * Get the array of pnodes that's in this hash.
  *
@@ -997,75 +1509,152 @@ ConsistentHash.prototype.getPnodes = function getPnodes(cb) {
 };
 
 /**
- * Removes a pnode from the hash ring.  Note the pnode must not map to any
- * vnodes.  Remove the vnodes first by re-assigning them to other pnodes before
- * invoking this function.
+ * Adds a new pnode to the hash ring, and moves a fair share of the vnodes --
+ * the number of vnodes divided by the number of pnodes that own vnodes, plus
+ * one -- to it. The vnodes are taken one at a time from the pnode that owns
+ * the most vnodes, so as few vnodes as possible are moved.
  *
- * @param {String} pnode The pnode to remove.
- * @param {function} cb The callback f(err).
+ * @param {String} pnode The name of the new pnode.
+ * @param {Object} opts The optional options object.
+ * @param {String} opts.domain The optional failure domain of the pnode.
+ * @param {Number} opts.vnodes The optional number of vnodes to move to the
+ *                 pnode, overriding the fair share.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The callback f(err, moved), where moved is the vnodes
+ *                   moved to the new pnode and their old owners,
+ *                   [{vnode, oldPnode}].
  */
-ConsistentHash.prototype.removePnode = function removePnode(pnode, cb) {
-    dtrace._fash_probes['removepnode-start'].fire(function() {
+ConsistentHash.prototype.addPnode = function addPnode(pnode, opts, cb) {
+    dtrace._fash_probes['addpnode-start'].fire(function() {
         return ([pnode]);
     });
     var self = this;
     var log = self.log;
     var db = self.db_;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.optionalObject(opts, 'opts');
+    opts = opts || {};
 
     log.info({
-        pnode: pnode
-    }, 'ConsistentHash.removePnode: entering');
-
+        pnode: pnode,
+        opts: opts
+    }, 'ConsistentHash.addPnode: entering');
     assert.string(pnode, 'pnode');
+    assert.optionalString(opts.domain, 'opts.domain');
+    assert.optionalNumber(opts.vnodes, 'opts.vnodes');
+    assert.optionalNumber(opts.expectedGeneration, 'opts.expectedGeneration');
     assert.func(cb, 'callback');
-    // check that the pnode exists
+
+    var moved = [];
     vasync.pipeline({funcs: [
-        function checkPnodeExists(_, _cb){
-            db.get(sprintf(LKEY_PNODE_P, pnode), function(err, v) {
+        function getPnodes(_, _cb) {
+            db.get(LKEY_PNODE, function(err, pnodes) {
                 if (err) {
-                    return _cb(new verror.VError(err, 'pnode does not exist'));
+                    return _cb(new verror.VError(err));
                 }
-                _.vnodes = v;
+                if (pnodes.indexOf(pnode) !== -1) {
+                    return _cb(new verror.VError('pnode %s already exists',
+                                                 pnode));
+                }
+                _.pnodes = pnodes;
                 return _cb();
             });
         },
-        function checkPnodeHasVnodes(_, _cb) {
-            if (_.vnodes && _.vnodes.length > 0) {
-                var errMsg = 'pnode still maps to vnodes, ' +
-                             're-assign vnodes first';
-                return _cb(new verror.VError(errMsg));
+        function getVnodes(_, _cb) {
+            _.pnodeToVnodes = {};
+            vasync.forEachParallel({
+                inputs: _.pnodes,
+                func: function(p, __cb) {
+                    self.getVnodes(p, function(err, vnodes) {
+                        if (!err && vnodes.length > 0) {
+                            _.pnodeToVnodes[p] = vnodes;
+                        }
+                        return __cb(err);
+                    });
+                }
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function planMoves(_, _cb) {
+            var count = opts.vnodes;
+            if (count === undefined) {
+                count = Math.floor(self.vnodeCount_ /
+                                   (Object.keys(_.pnodeToVnodes).length + 1));
             }
+            moved = common.planAddPnode({
+                pnodeToVnodes: _.pnodeToVnodes,
+                count: count
+            });
             return _cb();
         },
-        function _removePnode(_, _cb) {
-            // remove /pnode/%s
-            var batch = db.batch().del(sprintf(LKEY_PNODE_P, pnode));
-            // get the pnode array
-            db.get(LKEY_PNODE, function(err, pnodes) {
-                if (err) {
-                    return _cb(new verror.VError(err));
-                }
-
-                // remove the pnode to the pnode array if it doesn't exist.
-                var pnodeIndex = pnodes.indexOf(pnode);
-                if (pnodeIndex === -1) {
-                    return _cb(new verror.VError('pnode does not exist'));
-                }
-                pnodes.splice(pnodeIndex, 1);
-                batch.put(LKEY_PNODE, pnodes).write(function(_err) {
-                    if (_err) {
-                        _err = new verror.VError(_err);
-                    }
-                    log.info({
-                        err: _err,
-                        pnode: pnode
-                    }, 'ConsistentHash.removePnode: exiting');
-                    return _cb(_err);
+        function commit(_, _cb) {
+            // create the pnode and move the vnodes to it in one batch.
+            var ops = [{op: 'addPnode', pnode: pnode, domain: opts.domain}];
+            if (moved.length > 0) {
+                ops.push({
+                    op: 'remapVnode',
+                    pnode: pnode,
+                    vnodes: moved.map(function(m) { return (m.vnode); })
                 });
-                return (undefined);
+            }
+            self.commit_(ops, {
+                expectedGeneration: opts.expectedGeneration
+            }, function(err) {
+                return _cb(err);
             });
         }
     ], arg: {}}, function(err) {
+        log.info({
+            err: err,
+            pnode: pnode,
+            moved: moved
+        }, 'ConsistentHash.addPnode: exiting');
+        dtrace._fash_probes['addpnode-done'].fire(function() {
+            return ([err ? err.message : null, pnode, moved.length]);
+        });
+        return cb(err, err ? undefined : moved);
+    });
+};
+
+/**
+ * Removes a pnode from the hash ring.  Note the pnode must not map to any
+ * vnodes.  Remove the vnodes first by re-assigning them to other pnodes before
+ * invoking this function.
+ *
+ * @param {String} pnode The pnode to remove.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_().
+ * @param {function} cb The callback f(err).
+ */
+ConsistentHash.prototype.removePnode = function removePnode(pnode, opts, cb) {
+    dtrace._fash_probes['removepnode-start'].fire(function() {
+        return ([pnode]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+
+    log.info({
+        pnode: pnode
+    }, 'ConsistentHash.removePnode: entering');
+
+    assert.string(pnode, 'pnode');
+    assert.func(cb, 'callback');
+
+    self.commit_([{op: 'removePnode', pnode: pnode}], opts, function(err) {
+        log.info({
+            err: err,
+            pnode: pnode
+        }, 'ConsistentHash.removePnode: exiting');
         dtrace._fash_probes['removepnode-done'].fire(function() {
             return ([err ? err.message : null, pnode]);
         });
@@ -1074,40 +1663,872 @@ ConsistentHash.prototype.removePnode = function removePnode(pnode, cb) {
 };
 
 /**
- * Serialize the current state of the ring in serialized to a JSON string.
+ * Begins a changeset, a set of remapVnode(), addData(), removeData() and
+ * removePnode() changes that are validated together and then written in a
+ * single leveldb batch.
  *
- * @param {Function} callback The callback of the form f(err, Object).
- * @return {Object} ring The updated ring topology.
- * @return {Object} ring.pnodeToVnodeMap The map of {pnode->{vnode1,... vnoden}.
- * @return {String} ring.vnode The number of vnodes in the ring.
- * @return {String} ring.algorithm The algorithm used in the ring.
- * @return {String} ring.version The version of the ring.
+ *      ring.begin()
+ *          .remapVnode('B', vnodes)
+ *          .removePnode('A')
+ *          .commit(function(err) {});
+ *
+ * @return {Changeset} the changeset.
  */
-ConsistentHash.prototype.serialize = function serialize(callback) {
-    dtrace._fash_probes['serialize-start'].fire(function() {
-        return ([]);
+ConsistentHash.prototype.begin = function begin() {
+    return (new Changeset(this));
+};
+
+/**
+ * Applies a set of changes to the ring in one leveldb batch. Each change is
+ * staged in a transaction in turn, and sees the changes staged before it.
+ * Nothing is written unless every change is valid. Invoked by
+ * Changeset.commit() and by the mutators.
+ *
+ * The generation of the ring is bumped in the same batch. If
+ * opts.expectedGeneration is set and isn't the generation of the ring, nothing
+ * is written and a GenerationMismatchError is returned. Commits are queued, so
+ * the generation can't change between being checked and being bumped. The
+ * history entry of the change is written in the same batch, under
+ * /HISTORY/<generation>.
+ *
+ * @param {Object[]} ops The changes.
+ * @param {Object} opts The options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at.
+ * @param {function} cb The callback f(err, events), where events are the ring
+ *                   events that were emitted.
+ */
+ConsistentHash.prototype.commit_ = function commit_(ops, opts, cb) {
+    dtrace._fash_probes['commit-start'].fire(function() {
+        return ([ops.length]);
     });
     var self = this;
     var log = self.log;
-    var db = self.db_;
-    log.info('ConsistentHash.serialize: entering');
-    assert.func(callback, 'callback');
-
-    var serializedHash = {
-        vnodes: null,
-        pnodeToVnodeMap: {},
-        algorithm: null,
-        version: null
-    };
-
-    var tasks = [
-        function getNumberOfVnodes(_, cb) {
-            db.get(LKEY_VNODE_COUNT, function(err, vnodes) {
-                serializedHash.vnodes = vnodes;
-                return cb(err);
-            });
-        },
-        function getVnodeToPnodeMaps(_, cb) {
+    assert.arrayOfObject(ops, 'ops');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.expectedGeneration, 'opts.expectedGeneration');
+    assert.func(cb, 'callback');
+    log.info({ops: ops, opts: opts}, 'ConsistentHash.commit: entering');
+
+    var txn = new Txn(self.db_);
+    var events = [];
+    var generation;
+    var domains;
+    var i = 0;
+    function checkGeneration(_cb) {
+        txn.get(LKEY_GENERATION, function(err, g) {
+            // rings created before generations start at generation 0.
+            if (err && err.name && err.name === 'NotFoundError') {
+                g = 0;
+            } else if (err) {
+                return _cb(new verror.VError(err,
+                                             'unable to get generation'));
+            }
+            if (opts.expectedGeneration !== undefined &&
+                opts.expectedGeneration !== g) {
+                return _cb(new errors.GenerationMismatchError(
+                    opts.expectedGeneration, g));
+            }
+            generation = g + 1;
+            txn.put(LKEY_GENERATION, generation);
+            return getDomains(_cb);
+        });
+    }
+    function getDomains(_cb) {
+        // the domains of removed pnodes are kept in the history entry.
+        txn.get(LKEY_PNODE_DOMAINS, function(err, d) {
+            if (err && err.name && err.name === 'NotFoundError') {
+                d = {};
+            } else if (err) {
+                return _cb(new verror.VError(err,
+                                             'unable to get pnode domains'));
+            }
+            domains = d;
+            return _cb();
+        });
+    }
+    function next(_cb, err) {
+        if (err) {
+            return _cb(err);
+        }
+        if (i === ops.length) {
+            txn.put(sprintf(LKEY_HISTORY_G, generation),
+                    common.createHistoryEntry({
+                generation: generation,
+                ops: ops,
+                events: events,
+                domains: domains
+            }));
+            return txn.commit(function(_err) {
+                if (_err) {
+                    return _cb(new verror.VError(_err,
+                                                 'unable to commit changes'));
+                }
+                return _cb();
+            });
+        }
+        var op = ops[i++];
+        if (!STAGE[op.op]) {
+            return _cb(new verror.VError('unknown change %s', op.op));
+        }
+        return STAGE[op.op](self, txn, op, events, next.bind(null, _cb));
+    }
+
+    self.commitQueue_.push(function(_cb) {
+        checkGeneration(next.bind(null, _cb));
+    }, function(err) {
+        log.info({
+            err: err,
+            generation: generation
+        }, 'ConsistentHash.commit: exiting');
+        dtrace._fash_probes['commit-done'].fire(function() {
+            return ([err ? err.message : null, ops.length]);
+        });
+        if (err) {
+            return cb(err);
+        }
+        self.invalidateCache_();
+        events.forEach(function(e) {
+            self.emit(e.name, e.event);
+        });
+        return cb(null, events);
+    });
+};
+
+/**
+ * Get the generation of the ring. The generation starts at 0 and is bumped by
+ * every change made to the ring, so it can be passed as
+ * opts.expectedGeneration to make sure nobody else has changed the ring since.
+ * Rings created before generations were introduced don't have the GENERATION
+ * key, in which case they are at generation 0.
+ *
+ * @param {function} cb The callback f(err, generation).
+ */
+ConsistentHash.prototype.getGeneration = function getGeneration(cb) {
+    assert.func(cb, 'callback');
+    this.db_.get(LKEY_GENERATION, function(err, generation) {
+        if (err && err.name && err.name === 'NotFoundError') {
+            return cb(null, 0);
+        } else if (err) {
+            return cb(new verror.VError(err, 'unable to get generation'));
+        }
+        return cb(null, generation);
+    });
+};
+
+/**
+ * Get the history of the changes made to the ring, oldest first. Each entry is
+ * of the form {generation, ops, undo}, where generation is the generation the
+ * change moved the ring to, ops are the changes that were made, and undo are
+ * the changes that undo them. Changes made before history was introduced have
+ * no entries.
+ *
+ * @param {function} cb The callback f(err, history).
+ */
+ConsistentHash.prototype.history = function history(cb) {
+    var self = this;
+    assert.func(cb, 'callback');
+    self.getGeneration(function(err, generation) {
+        if (err) {
+            return cb(err);
+        }
+        var generations = [];
+        for (var g = 1; g <= generation; g++) {
+            generations.push(g);
+        }
+        var entries = [];
+        vasync.forEachParallel({
+            inputs: generations,
+            func: function(g, _cb) {
+                self.db_.get(sprintf(LKEY_HISTORY_G, g), function(_err, e) {
+                    if (_err && _err.name && _err.name === 'NotFoundError') {
+                        return _cb();
+                    } else if (_err) {
+                        return _cb(new verror.VError(_err));
+                    }
+                    entries[g] = e;
+                    return _cb();
+                });
+            }
+        }, function(_err) {
+            if (_err) {
+                return cb(new verror.VError(_err, 'unable to get history'));
+            }
+            return cb(null, entries.filter(function(e) {
+                return (e !== undefined);
+            }));
+        });
+        return (undefined);
+    });
+};
+
+/**
+ * Reverts the ring to the state it was in at an earlier generation, by undoing
+ * every change made since, newest first, in one batch. The history is append
+ * only, so the revert is itself a change with a new generation, which can in
+ * turn be reverted.
+ *
+ * @param {Number} generation The generation to revert to.
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at, see commit_(). Defaults to the generation the
+ *                 history was read at, so the revert fails rather than
+ *                 undoing the wrong changes if the ring changes meanwhile.
+ * @param {function} cb The callback f(err).
+ */
+ConsistentHash.prototype.revertTo = function revertTo(generation, opts, cb) {
+    dtrace._fash_probes['revertto-start'].fire(function() {
+        return ([generation]);
+    });
+    var self = this;
+    var log = self.log;
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.number(generation, 'generation');
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.expectedGeneration, 'opts.expectedGeneration');
+    assert.func(cb, 'callback');
+    log.info({
+        generation: generation,
+        opts: opts
+    }, 'ConsistentHash.revertTo: entering');
+
+    vasync.pipeline({funcs: [
+        function getGeneration(_, _cb) {
+            self.getGeneration(function(err, g) {
+                if (err) {
+                    return _cb(err);
+                }
+                if (opts.expectedGeneration !== undefined &&
+                    opts.expectedGeneration !== g) {
+                    return _cb(new errors.GenerationMismatchError(
+                        opts.expectedGeneration, g));
+                }
+                _.currentGeneration = g;
+                return _cb();
+            });
+        },
+        function getHistory(_, _cb) {
+            self.history(function(err, h) {
+                _.history = h;
+                return _cb(err);
+            });
+        },
+        function revert(_, _cb) {
+            var undo;
+            try {
+                undo = common.planRevert({
+                    history: _.history,
+                    generation: generation,
+                    currentGeneration: _.currentGeneration
+                });
+            } catch (e) {
+                return _cb(e);
+            }
+            if (undo.length === 0) {
+                return _cb();
+            }
+            var expected = opts.expectedGeneration;
+            if (expected === undefined) {
+                expected = _.currentGeneration;
+            }
+            self.commit_(undo, {expectedGeneration: expected}, function(err) {
+                return _cb(err);
+            });
+            return (undefined);
+        }
+    ], arg: {}}, function(err) {
+        log.info({err: err}, 'ConsistentHash.revertTo: exiting');
+        dtrace._fash_probes['revertto-done'].fire(function() {
+            return ([err ? err.message : null, generation]);
+        });
+        return cb(err);
+    });
+};
+
+/**
+ * Get the failure domain labels of the pnodes. Rings created before failure
+ * domains were introduced don't have the PNODE_DOMAINS key, in which case no
+ * pnode has a domain.
+ *
+ * @param {function} cb The callback f(err, {pnode -> domain}).
+ */
+ConsistentHash.prototype.getPnodeDomains = function getPnodeDomains(cb) {
+    assert.func(cb, 'callback');
+    this.db_.get(LKEY_PNODE_DOMAINS, function(err, domains) {
+        if (err && err.name && err.name === 'NotFoundError') {
+            return cb(null, {});
+        } else if (err) {
+            return cb(new verror.VError(err, 'unable to get pnode domains'));
+        }
+        return cb(null, domains);
+    });
+};
+
+/**
+ * Get the fingerprint of the ring, a digest of the pnode and data of every
+ * vnode. Rings that map every key the same way have the same fingerprint, on
+ * any host and with either backend, so it can be used to check that hosts
+ * agree on the ring without comparing whole topologies.
+ *
+ * @param {function} cb The callback f(err, fingerprint), where fingerprint is
+ *                   a hex sha256 digest.
+ */
+ConsistentHash.prototype.fingerprint = function fingerprint(cb) {
+    dtrace._fash_probes['fingerprint-start'].fire(function() {
+        return ([]);
+    });
+    var self = this;
+    var db = self.db_;
+    assert.func(cb, 'callback');
+
+    var inputs = [];
+    for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
+        inputs.push(vnode);
+    }
+    var vnodes = [];
+    forEachBounded(inputs, function(v, _cb) {
+        db.get(sprintf(LKEY_VNODE_V, v), function(err, pnode) {
+            if (err) {
+                return _cb(new verror.VError(err));
+            }
+            db.get(sprintf(LKEY_PNODE_P_V, pnode, v), function(_err, d) {
+                if (_err) {
+                    return _cb(new verror.VError(_err));
+                }
+                vnodes[v] = {
+                    pnode: pnode,
+                    data: d === LVAL_NULL ? null : d
+                };
+                return _cb();
+            });
+            return (undefined);
+        });
+    }, function(err) {
+        var digest;
+        if (err) {
+            err = new verror.VError(err, 'unable to fingerprint ring');
+        } else {
+            digest = common.fingerprint({
+                algorithm: self.algorithm_.NAME,
+                vnodes: vnodes
+            });
+        }
+        dtrace._fash_probes['fingerprint-done'].fire(function() {
+            return ([err ? err.message : null, digest]);
+        });
+        return cb(err, digest);
+    });
+};
+
+/**
+ * Check the integrity of the ring: that every vnode is owned by exactly one
+ * pnode, that the /VNODE/%d, /PNODE/%s and /PNODE/%s/%d keys agree, and that
+ * VNODE_DATA holds the vnodes with data. See common.verifyRing() for the
+ * problems that can be found.
+ *
+ * @param {function} cb The callback f(err, problems), where problems is empty
+ *                   if the ring is consistent.
+ */
+ConsistentHash.prototype.verify = function verify(cb) {
+    dtrace._fash_probes['verify-start'].fire(function() {
+        return ([]);
+    });
+    var self = this;
+    var log = self.log;
+    var db = self.db_;
+    var problems;
+    assert.func(cb, 'callback');
+
+    // missing keys are problems to report, rather than errors.
+    var get = getIfExists.bind(null, db);
+
+    vasync.pipeline({funcs: [
+        function getPnodes(_, _cb) {
+            get(LKEY_PNODE, function(err, pnodes) {
+                _.pnodes = pnodes || [];
+                return _cb(err);
+            });
+        },
+        function getPnodeVnodes(_, _cb) {
+            _.pnodeVnodes = {};
+            forEachBounded(_.pnodes, function(pnode, __cb) {
+                get(sprintf(LKEY_PNODE_P, pnode), function(err, vnodes) {
+                    if (vnodes) {
+                        _.pnodeVnodes[pnode] = vnodes;
+                    }
+                    return __cb(err);
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function getVnodes(_, _cb) {
+            _.vnodePnodes = [];
+            _.vnodeData = [];
+            var inputs = [];
+            for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
+                inputs.push(vnode);
+            }
+            forEachBounded(inputs, function(v, __cb) {
+                get(sprintf(LKEY_VNODE_V, v), function(err, pnode) {
+                    if (err || pnode === undefined) {
+                        return __cb(err);
+                    }
+                    _.vnodePnodes[v] = pnode;
+                    get(sprintf(LKEY_PNODE_P_V, pnode, v), function(_err, d) {
+                        if (d !== undefined) {
+                            _.vnodeData[v] = d === LVAL_NULL ? null : d;
+                        }
+                        return __cb(_err);
+                    });
+                    return (undefined);
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function getDataVnodes(_, _cb) {
+            get(LKEY_VNODE_DATA, function(err, vnodes) {
+                _.dataVnodes = vnodes || [];
+                return _cb(err);
+            });
+        },
+        function verifyRing(_, _cb) {
+            problems = common.verifyRing({
+                vnodes: self.vnodeCount_,
+                pnodes: _.pnodes,
+                pnodeVnodes: _.pnodeVnodes,
+                vnodePnodes: _.vnodePnodes,
+                vnodeData: _.vnodeData,
+                dataVnodes: _.dataVnodes
+            });
+            return _cb();
+        }
+    ], arg: {}}, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to verify ring');
+        }
+        log.info({err: err, problems: problems},
+                 'ConsistentHash.verify: exiting');
+        dtrace._fash_probes['verify-done'].fire(function() {
+            return ([err ? err.message : null, problems ? problems.length : 0]);
+        });
+        return cb(err, problems);
+    });
+};
+
+/**
+ * Repair a ring whose keys are inconsistent -- e.g. after a remapVnode() was
+ * interrupted -- by rebuilding them from an authoritative source. By default
+ * the source is the /VNODE/%d keys, and the /PNODE, /PNODE/%s, /PNODE/%s/%d
+ * and VNODE_DATA keys are rebuilt to match the pnode each vnode maps to. If a
+ * topology is given, every one of those keys, the /VNODE/%d keys and the
+ * PNODE_DOMAINS key are rebuilt to match it instead.
+ *
+ * When repairing from the /VNODE/%d keys, the data of each vnode is kept from
+ * its pnode, or if missing there, from the other pnodes that still have it. A
+ * vnode that doesn't map to a pnode is given to the pnode that lists it, and
+ * if there isn't exactly one, the ring can only be repaired from a topology.
+ *
+ * Every fix is written in one batch. Repairs restore the ring rather than
+ * change it, so they don't bump the generation, aren't recorded in the
+ * history and don't emit events.
+ *
+ * @param {Object} opts The optional options object.
+ * @param {Boolean} opts.dryRun Only report the fixes, without making them.
+ * @param {String} opts.topology The optional serialized topology to repair the
+ *                 ring from, see serialize().
+ * @param {function} cb The callback f(err, fixes), where fixes is the array
+ *                   of {type, key, value, message}, and type is put or del.
+ */
+ConsistentHash.prototype.repair = function repair(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalString(opts.topology, 'opts.topology');
+    assert.func(cb, 'callback');
+    dtrace._fash_probes['repair-start'].fire(function() {
+        return ([opts.dryRun ? 1 : 0]);
+    });
+    var self = this;
+    var log = self.log;
+    var get = getIfExists.bind(null, self.db_);
+    log.info({
+        dryRun: opts.dryRun,
+        fromTopology: !!opts.topology
+    }, 'ConsistentHash.repair: entering');
+
+    var txn = new Txn(self.db_);
+    var fixes = [];
+    function put(key, value) {
+        var message = sprintf.apply(null, Array.prototype.slice.call(arguments,
+                                                                     2));
+        txn.put(key, value);
+        fixes.push({type: 'put', key: key, value: value, message: message});
+    }
+    function del(key) {
+        var message = sprintf.apply(null, Array.prototype.slice.call(arguments,
+                                                                     1));
+        txn.del(key);
+        fixes.push({type: 'del', key: key, message: message});
+    }
+    function sameSet(a, b) {
+        if (!a || a.length !== b.length) {
+            return (false);
+        }
+        return (a.slice().sort().join() === b.slice().sort().join());
+    }
+
+    var tasks = [
+        function parseTopology(_, _cb) {
+            if (!opts.topology) {
+                return _cb();
+            }
+            try {
+                _.topology = readTopology(self, opts.topology);
+            } catch (e) {
+                return _cb(e);
+            }
+            return _cb();
+        },
+        function getPnodes(_, _cb) {
+            get(LKEY_PNODE, function(err, pnodes) {
+                _.pnodes = pnodes;
+                return _cb(err);
+            });
+        },
+        function getPnodeVnodes(_, _cb) {
+            // the vnodes each pnode lists, and the pnodes listing each vnode.
+            _.pnodeVnodes = {};
+            _.listers = {};
+            forEachBounded(_.pnodes || [], function(pnode, __cb) {
+                get(sprintf(LKEY_PNODE_P, pnode), function(err, vnodes) {
+                    if (!vnodes) {
+                        return __cb(err);
+                    }
+                    _.pnodeVnodes[pnode] = vnodes;
+                    vnodes.forEach(function(v) {
+                        if (!_.listers[v]) {
+                            _.listers[v] = [];
+                        }
+                        _.listers[v].push(pnode);
+                    });
+                    return __cb();
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function getVnodes(_, _cb) {
+            // the pnode each vnode maps to, and its data under every pnode
+            // that could have it.
+            _.vnodePnodes = [];
+            _.data = [];
+            var inputs = [];
+            for (var vnode = 0; vnode < self.vnodeCount_; vnode++) {
+                inputs.push(vnode);
+            }
+            forEachBounded(inputs, function(v, __cb) {
+                get(sprintf(LKEY_VNODE_V, v), function(err, pnode) {
+                    if (err) {
+                        return __cb(err);
+                    }
+                    _.vnodePnodes[v] = pnode;
+                    var candidates = (_.listers[v] || []).slice();
+                    if (pnode !== undefined &&
+                        candidates.indexOf(pnode) === -1) {
+                        candidates.push(pnode);
+                    }
+                    if (_.topology && candidates.indexOf(
+                        _.topology.vnodePnodes[v]) === -1) {
+                        candidates.push(_.topology.vnodePnodes[v]);
+                    }
+                    _.data[v] = {};
+                    forEachBounded(candidates.sort(), function(p, ___cb) {
+                        get(sprintf(LKEY_PNODE_P_V, p, v), function(_err, d) {
+                            if (d !== undefined) {
+                                _.data[v][p] = d;
+                            }
+                            return ___cb(_err);
+                        });
+                    }, function(_err) {
+                        return __cb(_err);
+                    });
+                    return (undefined);
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function getOther(_, _cb) {
+            get(LKEY_VNODE_DATA, function(err, vnodeData) {
+                if (err) {
+                    return _cb(err);
+                }
+                _.vnodeData = vnodeData;
+                get(LKEY_PNODE_DOMAINS, function(_err, domains) {
+                    _.domains = domains;
+                    return _cb(_err);
+                });
+                return (undefined);
+            });
+        },
+        function planTarget(_, _cb) {
+            // the pnode and data each vnode should have.
+            if (_.topology) {
+                _.owners = _.topology.vnodePnodes;
+                _.targetData = _.topology.vnodeData;
+                _.targetPnodes = _.topology.pnodes;
+                return _cb();
+            }
+            _.owners = [];
+            _.targetData = [];
+            _.targetPnodes = (_.pnodes || []).slice();
+            for (var v = 0; v < self.vnodeCount_; v++) {
+                var owner = _.vnodePnodes[v];
+                if (owner === undefined) {
+                    var listers = _.listers[v] || [];
+                    if (listers.length !== 1) {
+                        return _cb(new verror.VError('vnode %d does not map ' +
+                            'to a pnode, and is listed by %d pnodes, repair ' +
+                            'from a topology instead', v, listers.length));
+                    }
+                    owner = listers[0];
+                }
+                _.owners[v] = owner;
+                if (_.targetPnodes.indexOf(owner) === -1) {
+                    _.targetPnodes.push(owner);
+                }
+
+                var data = _.data[v][owner];
+                if (data === undefined) {
+                    data = LVAL_NULL;
+                    Object.keys(_.data[v]).sort().some(function(p) {
+                        data = _.data[v][p];
+                        return (data !== LVAL_NULL);
+                    });
+                }
+                _.targetData[v] = data;
+            }
+            return _cb();
+        },
+        function stagePnodes(_, _cb) {
+            if (!sameSet(_.pnodes, _.targetPnodes)) {
+                put(LKEY_PNODE, _.targetPnodes, 'ring has pnodes %s',
+                    _.targetPnodes.join(', '));
+            }
+            var vnodes = {};
+            _.targetPnodes.forEach(function(p) {
+                vnodes[p] = [];
+            });
+            _.owners.forEach(function(p, v) {
+                vnodes[p].push(v);
+            });
+            _.targetPnodes.forEach(function(p) {
+                if (!sameSet(_.pnodeVnodes[p], vnodes[p])) {
+                    put(sprintf(LKEY_PNODE_P, p), vnodes[p],
+                        'pnode %s owns %d vnodes', p, vnodes[p].length);
+                }
+            });
+            Object.keys(_.pnodeVnodes).forEach(function(p) {
+                if (_.targetPnodes.indexOf(p) === -1) {
+                    del(sprintf(LKEY_PNODE_P, p), 'pnode %s is not in the ring',
+                        p);
+                }
+            });
+            return _cb();
+        },
+        function stageVnodes(_, _cb) {
+            var dataVnodes = [];
+            _.owners.forEach(function(owner, v) {
+                if (_.vnodePnodes[v] !== owner) {
+                    put(sprintf(LKEY_VNODE_V, v), owner,
+                        'vnode %d maps to pnode %s', v, owner);
+                }
+                var data = _.targetData[v];
+                if (data !== LVAL_NULL) {
+                    dataVnodes.push(v);
+                }
+                if (JSON.stringify(_.data[v][owner]) !==
+                    JSON.stringify(data)) {
+                    put(sprintf(LKEY_PNODE_P_V, owner, v), data,
+                        'vnode %d has data %j under pnode %s', v,
+                        data === LVAL_NULL ? null : data, owner);
+                }
+                Object.keys(_.data[v]).forEach(function(p) {
+                    if (p !== owner) {
+                        del(sprintf(LKEY_PNODE_P_V, p, v),
+                            'vnode %d is not owned by pnode %s', v, p);
+                    }
+                });
+            });
+            if (!sameSet(_.vnodeData, dataVnodes)) {
+                put(LKEY_VNODE_DATA, dataVnodes, '%d vnodes have data',
+                    dataVnodes.length);
+            }
+            if (_.topology && _.topology.pnodeDomains &&
+                JSON.stringify(_.domains) !==
+                JSON.stringify(_.topology.pnodeDomains)) {
+                put(LKEY_PNODE_DOMAINS, _.topology.pnodeDomains,
+                    'pnode domains are %j', _.topology.pnodeDomains);
+            }
+            return _cb();
+        },
+        function commit(_, _cb) {
+            if (opts.dryRun || fixes.length === 0) {
+                return _cb();
+            }
+            txn.commit(function(err) {
+                if (err) {
+                    return _cb(new verror.VError(err,
+                                                 'unable to write fixes'));
+                }
+                return _cb();
+            });
+            return (undefined);
+        }
+    ];
+
+    // repair between commits, so the ring isn't changed underneath it.
+    self.commitQueue_.push(function(_cb) {
+        vasync.pipeline({funcs: tasks, arg: {}}, _cb);
+    }, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to repair ring');
+        } else if (!opts.dryRun && fixes.length > 0) {
+            self.invalidateCache_();
+        }
+        log.info({
+            err: err,
+            fixes: fixes
+        }, 'ConsistentHash.repair: exiting');
+        dtrace._fash_probes['repair-done'].fire(function() {
+            return ([err ? err.message : null, fixes.length]);
+        });
+        return cb(err, err ? undefined : fixes);
+    });
+};
+
+/**
+ * Get the counters of the lookup cache of getNode(), see options.cache.
+ *
+ * @param {function} cb The callback f(err, stats), where stats are the {hits,
+ *                   misses, entries, bytes, maxEntries, maxBytes} of the
+ *                   cache, or null if the ring has no cache.
+ */
+ConsistentHash.prototype.cacheStats = function cacheStats(cb) {
+    assert.func(cb, 'callback');
+    var stats = this.cache_ ? this.cache_.stats() : null;
+    process.nextTick(function() {
+        return cb(null, stats);
+    });
+};
+
+/**
+ * Gets the {pnode, data} of a vnode, from the lookup cache if it's there. The
+ * entry is a copy, so changing its data doesn't change the cache.
+ */
+ConsistentHash.prototype.getVnode_ = function getVnode_(vnode, cb) {
+    var self = this;
+    var cached = self.cache_ ? self.cache_.get(vnode) : undefined;
+    if (cached) {
+        process.nextTick(function() {
+            return cb(null, copyEntry(cached));
+        });
+        return (undefined);
+    }
+    var epoch = self.cacheEpoch_;
+    self.db_.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
+        if (err) {
+            return cb(new verror.VError(err));
+        }
+        self.db_.get(sprintf(LKEY_PNODE_P_V, pnode, vnode),
+                     function(_err, data)
+        {
+            if (_err) {
+                return cb(new verror.VError(_err));
+            }
+            var entry = {
+                pnode: pnode,
+                data: data === LVAL_NULL ? null : data
+            };
+            if (self.cache_ && epoch === self.cacheEpoch_) {
+                self.cache_.set(vnode, entry, cacheEntrySize(pnode, data));
+                entry = copyEntry(entry);
+            }
+            return cb(null, entry);
+        });
+
+        return (undefined);
+    });
+    return (undefined);
+};
+
+ConsistentHash.prototype.invalidateCache_ = function invalidateCache_() {
+    if (this.cache_) {
+        this.cache_.clear();
+        this.cacheEpoch_++;
+    }
+};
+
+/**
+ * Serialize the current state of the ring in serialized to a JSON string.
+ *
+ * @param {Function} callback The callback of the form f(err, Object).
+ * @return {Object} ring The updated ring topology.
+ * @return {Object} ring.pnodeToVnodeMap The map of {pnode->{vnode1,... vnoden}.
+ * @return {String} ring.vnode The number of vnodes in the ring.
+ * @return {String} ring.algorithm The algorithm used in the ring.
+ * @return {String} ring.version The version of the ring.
+ * @return {Number} ring.generation The generation of the ring.
+ * @return {Object[]} ring.history The history of the changes made to the ring.
+ */
+ConsistentHash.prototype.serialize = function serialize(callback) {
+    dtrace._fash_probes['serialize-start'].fire(function() {
+        return ([]);
+    });
+    var self = this;
+    var log = self.log;
+    var db = self.db_;
+    log.info('ConsistentHash.serialize: entering');
+    assert.func(callback, 'callback');
+
+    var serializedHash = {
+        vnodes: null,
+        pnodeToVnodeMap: {},
+        pnodeDomains: null,
+        algorithm: null,
+        version: null,
+        generation: null,
+        history: null
+    };
+
+    var tasks = [
+        function getNumberOfVnodes(_, cb) {
+            db.get(LKEY_VNODE_COUNT, function(err, vnodes) {
+                serializedHash.vnodes = vnodes;
+                return cb(err);
+            });
+        },
+        function getPnodes(_, cb) {
+            // pnodes without vnodes are kept in the topology too.
+            db.get(LKEY_PNODE, function(err, pnodes) {
+                if (err) {
+                    return cb(new verror.VError(err));
+                }
+                pnodes.forEach(function(pnode) {
+                    serializedHash.pnodeToVnodeMap[pnode] = {};
+                });
+                return cb();
+            });
+        },
+        function getVnodeToPnodeMaps(_, cb) {
             cb = once(cb);
             var count = serializedHash.vnodes;
             for (var vnode = 0; vnode < serializedHash.vnodes; vnode++) {
@@ -1115,72 +2536,741 @@ ConsistentHash.prototype.serialize = function serialize(callback) {
                        (function(v, err, pnode)
                 {
                     if (err) {
-                        return cb(new verror.VError(err));
+                        return cb(new verror.VError(err));
+                    }
+                    if (!serializedHash.pnodeToVnodeMap[pnode]) {
+                        serializedHash.pnodeToVnodeMap[pnode] = {};
+                    }
+                    db.get(sprintf(LKEY_PNODE_P_V, pnode, v),
+                           function(_err, data)
+                    {
+                        if (_err) {
+                            return cb(new verror.VError(_err));
+                        }
+                        serializedHash.pnodeToVnodeMap[pnode][v] = data;
+                        if (--count === 0) {
+                            return cb();
+                        }
+                        return (undefined);
+                    });
+                    return (undefined);
+                }).bind(this, vnode));
+            }
+        },
+        function getPnodeDomains(_, cb) {
+            self.getPnodeDomains(function(err, domains) {
+                serializedHash.pnodeDomains = domains;
+                return cb(err);
+            });
+        },
+        function getAlgorithm(_, cb){
+            db.get(LKEY_ALGORITHM, function(err, algorithm) {
+                if (err) {
+                    err = new verror.VError(err);
+                }
+                serializedHash.algorithm = algorithm;
+                return cb(err);
+            });
+        },
+        function getVersion(_, cb){
+            db.get(LKEY_VERSION, function(err, version) {
+                if (err) {
+                    err = new verror.VError(err);
+                }
+                serializedHash.version = version;
+                return cb(err);
+            });
+        },
+        function getGeneration(_, cb) {
+            self.getGeneration(function(err, generation) {
+                serializedHash.generation = generation;
+                return cb(err);
+            });
+        },
+        function getHistory(_, cb) {
+            self.history(function(err, history) {
+                serializedHash.history = history;
+                return cb(err);
+            });
+        }
+    ];
+
+    vasync.pipeline({funcs: tasks, arg: {}}, function(err) {
+        if (err) {
+            err = new verror.VError(err, 'unable to serialize ring');
+        }
+        log.trace({
+            serializedRing: serializedHash
+        }, 'ConsistentHash.serialize: fully serialized ring');
+        if (!err) {
+            var stringifiedHash = JSON.stringify(serializedHash);
+        }
+        log.info({err: err}, 'ConsistentHash.serialize: exiting');
+
+        dtrace._fash_probes['serialize-done'].fire(function() {
+            return ([err ? err.message : null]);
+        });
+        return callback(err, stringifiedHash);
+    });
+};
+
+///--- Privates
+
+/**
+ * Calls func(input, cb) on each input, with at most READ_CONCURRENCY calls in
+ * flight at once, and then cb(err) with the first error, if any. Unlike
+ * vasync.forEachParallel(), a ring of many vnodes doesn't put a read of every
+ * one of them in flight at once. No more calls are made once one has failed.
+ * func may call back synchronously, e.g. when reading through a Txn.
+ */
+function forEachBounded(inputs, func, cb) {
+    var error = null;
+    var next = 0;
+    var running = Math.min(READ_CONCURRENCY, inputs.length);
+    if (running === 0) {
+        return cb(null);
+    }
+
+    // each worker calls func on one input after another until there are none
+    // left, looping rather than recursing on synchronous callbacks.
+    function work() {
+        var again = true;
+        while (again) {
+            if (error || next === inputs.length) {
+                if (--running === 0) {
+                    cb(error);
+                }
+                return;
+            }
+            var sync = true;
+            again = false;
+            func(inputs[next++], function(err) {
+                error = error || err;
+                if (sync) {
+                    again = true;
+                } else {
+                    work();
+                }
+            });
+            sync = false;
+        }
+    }
+    for (var i = Math.min(READ_CONCURRENCY, inputs.length); i > 0; i--) {
+        work();
+    }
+    return (undefined);
+}
+
+/**
+ * Estimate the bytes of an entry of the lookup cache. Strings are 2 bytes a
+ * character.
+ */
+function cacheEntrySize(pnode, data) {
+    return (CACHE_ENTRY_OVERHEAD +
+            2 * (pnode.length + String(JSON.stringify(data)).length));
+}
+
+/**
+ * Copy an entry of the lookup cache. Data other than strings is copied too, so
+ * the cached data can't be changed through what a lookup returns.
+ */
+function copyEntry(entry) {
+    var data = entry.data;
+    if (typeof (data) === 'object' && data !== null) {
+        data = JSON.parse(JSON.stringify(data));
+    }
+    return ({pnode: entry.pnode, data: data});
+}
+
+/**
+ * Gets the value of a key, or undefined if the key doesn't exist.
+ */
+function getIfExists(db, key, cb) {
+    db.get(key, function(err, value) {
+        if (err && err.name && err.name === 'NotFoundError') {
+            return cb(null, undefined);
+        } else if (err) {
+            return cb(new verror.VError(err));
+        }
+        return cb(null, value);
+    });
+}
+
+/**
+ * Reads a serialized topology to repair a ring from.
+ *
+ * @return {Object} the {pnodes, vnodePnodes, vnodeData, pnodeDomains} of the
+ *                  topology, where vnodePnodes and vnodeData are indexed by
+ *                  vnode.
+ * @throws {VError} if the topology doesn't describe every vnode of the ring
+ *                  once.
+ */
+function readTopology(self, serialized) {
+    var topology;
+    try {
+        topology = JSON.parse(serialized);
+    } catch (e) {
+        throw new verror.VError(e, 'invalid topology');
+    }
+    if (!topology || typeof (topology.pnodeToVnodeMap) !== 'object') {
+        throw new verror.VError('topology has no pnodeToVnodeMap');
+    }
+    if (topology.vnodes !== self.vnodeCount_) {
+        throw new verror.VError('topology has %s vnodes, ring has %d',
+                                topology.vnodes, self.vnodeCount_);
+    }
+    if (!topology.algorithm ||
+        topology.algorithm.NAME !== self.algorithm_.NAME) {
+        throw new verror.VError('topology algorithm does not match the ring');
+    }
+
+    var result = {
+        pnodes: Object.keys(topology.pnodeToVnodeMap),
+        vnodePnodes: [],
+        vnodeData: [],
+        pnodeDomains: topology.pnodeDomains
+    };
+    result.pnodes.forEach(function(pnode) {
+        var vnodes = topology.pnodeToVnodeMap[pnode];
+        Object.keys(vnodes).forEach(function(key) {
+            var v = Number(key);
+            if (!(v >= 0 && v < self.vnodeCount_ && Math.floor(v) === v)) {
+                throw new verror.VError('topology vnode %s is not in the ring',
+                                        key);
+            }
+            if (result.vnodePnodes[v] !== undefined) {
+                throw new verror.VError('topology vnode %d belongs to more ' +
+                                        'than one pnode', v);
+            }
+            result.vnodePnodes[v] = pnode;
+            result.vnodeData[v] = vnodes[key] || LVAL_NULL;
+        });
+    });
+    for (var v = 0; v < self.vnodeCount_; v++) {
+        if (result.vnodePnodes[v] === undefined) {
+            throw new verror.VError('topology vnode %d has no pnode', v);
+        }
+    }
+    return (result);
+}
+
+/**
+ * A leveldb transaction. Writes are staged in memory, and reads see the writes
+ * staged before them. Every staged write is committed in one batch.
+ *
+ * @constructor
+ * @param {Object} db The leveldb.
+ */
+function Txn(db) {
+    this.db_ = db;
+    /**
+     * Map of {key -> value} of the staged writes. Deleted keys map to
+     * undefined.
+     */
+    this.staged_ = {};
+}
+
+/**
+ * Gets the value of a key. The value is a copy, so callers are free to modify
+ * it before staging it with put().
+ */
+Txn.prototype.get = function get(key, cb) {
+    if (!this.staged_.hasOwnProperty(key)) {
+        return this.db_.get(key, cb);
+    }
+    var value = this.staged_[key];
+    if (value === undefined) {
+        var err = new verror.VError('Key not found in database [%s]', key);
+        err.name = 'NotFoundError';
+        return cb(err);
+    }
+    return cb(null, JSON.parse(JSON.stringify(value)));
+};
+
+Txn.prototype.put = function put(key, value) {
+    this.staged_[key] = JSON.parse(JSON.stringify(value));
+};
+
+Txn.prototype.del = function del(key) {
+    this.staged_[key] = undefined;
+};
+
+Txn.prototype.commit = function commit(cb) {
+    var self = this;
+    var batch = self.db_.batch();
+    Object.keys(self.staged_).forEach(function(key) {
+        if (self.staged_[key] === undefined) {
+            batch.del(key);
+        } else {
+            batch.put(key, self.staged_[key]);
+        }
+    });
+    batch.write(cb);
+};
+
+/**
+ * Scans the /PNODE/P/V keys of a pnode, and calls onNode with the {vnode,
+ * pnode, data} of each of its vnodes, in key order. Keys of pnodes whose names
+ * start with this pnode and a slash are in the range too, and are skipped.
+ */
+function scanPnode(self, pnode, onNode, cb) {
+    cb = once(cb);
+    var prefix = sprintf(LKEY_PNODE_P, pnode) + '/';
+    var stream = self.db_.createReadStream({
+        gte: prefix,
+        lte: prefix + '\xff',
+        // older levelups only know start and end.
+        start: prefix,
+        end: prefix + '\xff'
+    });
+    stream.on('data', function(entry) {
+        var vnode = entry.key.substring(prefix.length);
+        if (!/^\d+$/.test(vnode)) {
+            return;
+        }
+        onNode({
+            vnode: parseInt(vnode, 10),
+            pnode: pnode,
+            data: entry.value === LVAL_NULL ? null : entry.value
+        });
+    });
+    stream.on('error', function(err) {
+        return cb(new verror.VError(err, 'unable to scan pnode %s', pnode));
+    });
+    stream.on('end', function() {
+        return cb();
+    });
+}
+
+/**
+ * Stages each kind of change in a transaction. Every stage function is of the
+ * form f(ring, txn, op, events, cb) -- it validates the change against the
+ * ring as seen through the transaction, stages its writes, and pushes the ring
+ * events it causes onto events.
+ */
+var STAGE = {
+    addData: stageAddData,
+    addPnode: stageAddPnode,
+    remapVnode: stageRemapVnode,
+    removeData: stageRemoveData,
+    removePnode: stageRemovePnode,
+    setVnodeState: stageSetVnodeState
+};
+
+function stageAddData(self, txn, op, events, cb) {
+    var data = op.data || null;
+    stageData(self, txn, op.vnodes || [op.vnode], function() {
+        return (data);
+    }, events, cb);
+}
+
+/**
+ * Vnodes without data are left alone.
+ */
+function stageRemoveData(self, txn, op, events, cb) {
+    stageData(self, txn, op.vnodes, function(vnode, data) {
+        return (data === null ? undefined : null);
+    }, events, cb);
+}
+
+/**
+ * Any vnode that can't move to the state fails the whole change, so nothing is
+ * committed.
+ */
+function stageSetVnodeState(self, txn, op, events, cb) {
+    stageData(self, txn, op.vnodes, function(vnode, data) {
+        vnodeState.assertStateData(vnode, data);
+        vnodeState.assertTransition(vnode, vnodeState.fromData(data).state,
+                                    op.state);
+        return (vnodeState.toData(op.state, op.meta));
+    }, events, cb);
+}
+
+/**
+ * Stages the data of vnodes. dataFn(vnode, data) is given the data of each
+ * vnode, or null, and returns its new data, null to remove it, or undefined to
+ * leave the vnode alone. It throws if the vnode can't be changed. The vnode
+ * data array is rewritten once, however many vnodes change.
+ */
+function stageData(self, txn, vnodes, dataFn, events, cb) {
+    var seen = {};
+    vnodes = vnodes.filter(function(vnode) {
+        if (seen[vnode]) {
+            return (false);
+        }
+        seen[vnode] = true;
+        return (true);
+    });
+    vasync.pipeline({funcs: [
+        function getData(_, _cb) {
+            _.pnodes = {};
+            _.befores = {};
+            var pending = vnodes.length + 1;
+            var error = null;
+            function done(err) {
+                error = error || err;
+                if (--pending === 0) {
+                    return _cb(error);
+                }
+                return (undefined);
+            }
+            vnodes.forEach(function(vnode) {
+                txn.get(sprintf(LKEY_VNODE_V, vnode), function(err, pnode) {
+                    if (err) {
+                        return done(new verror.VError(err, 'vnode %d is not ' +
+                                                      'in the ring', vnode));
                     }
-                    serializedHash.pnodeToVnodeMap[pnode] = {};
-                    db.get(sprintf(LKEY_PNODE_P_V, pnode, v),
-                           function(_err, data)
-                    {
+                    _.pnodes[vnode] = pnode;
+                    var key = sprintf(LKEY_PNODE_P_V, pnode, vnode);
+                    return txn.get(key, function(_err, d) {
                         if (_err) {
-                            return cb(new verror.VError(_err));
-                        }
-                        serializedHash.pnodeToVnodeMap[pnode][v] = data;
-                        if (--count === 0) {
-                            return cb();
+                            return done(new verror.VError(_err, 'unable to ' +
+                                                          'get data of vnode ' +
+                                                          '%d', vnode));
                         }
-                        return (undefined);
+                        _.befores[vnode] = d === LVAL_NULL ? null : d;
+                        return done();
                     });
-                    return (undefined);
-                }).bind(this, vnode));
+                });
+            });
+            return done();
+        },
+        function setData(_, _cb) {
+            // check every vnode before any is staged.
+            var changes = [];
+            try {
+                vnodes.forEach(function(vnode) {
+                    var after = dataFn(vnode, _.befores[vnode]);
+                    if (after !== undefined) {
+                        changes.push({vnode: vnode, after: after});
+                    }
+                });
+            } catch (e) {
+                return _cb(e);
             }
+            changes.forEach(function(c) {
+                var pnode = _.pnodes[c.vnode];
+                txn.put(sprintf(LKEY_PNODE_P_V, pnode, c.vnode),
+                        c.after === null ? LVAL_NULL : c.after);
+                events.push({name: 'dataChanged', event: {
+                    vnode: c.vnode,
+                    pnode: pnode,
+                    before: _.befores[c.vnode],
+                    after: c.after
+                }});
+            });
+            _.changes = changes;
+            return _cb();
         },
-        function getAlgorithm(_, cb){
-            db.get(LKEY_ALGORITHM, function(err, algorithm) {
+        function setVnodeDataArray(_, _cb) {
+            if (_.changes.length === 0) {
+                return _cb();
+            }
+            return txn.get(LKEY_VNODE_DATA, function(err, vnodeData) {
                 if (err) {
-                    err = new verror.VError(err);
+                    return _cb(new verror.VError(err, 'unable to set data'));
                 }
-                serializedHash.algorithm = algorithm;
-                return cb(err);
+                // rings deserialized by older versions keep strings here.
+                var dataVnodes = {};
+                vnodeData.forEach(function(vnode) {
+                    dataVnodes[vnode] = true;
+                });
+                _.changes.forEach(function(c) {
+                    if (c.after === null) {
+                        delete dataVnodes[c.vnode];
+                    } else {
+                        dataVnodes[c.vnode] = true;
+                    }
+                });
+                txn.put(LKEY_VNODE_DATA,
+                        Object.keys(dataVnodes).map(function(vnode) {
+                    return (parseInt(vnode, 10));
+                }));
+                return _cb();
             });
-        },
-        function getVersion(_, cb){
-            db.get(LKEY_VERSION, function(err, version) {
+        }
+    ], arg: {}}, function(err) {
+        return cb(err);
+    });
+}
+
+function stageAddPnode(self, txn, op, events, cb) {
+    var pnode = op.pnode;
+    vasync.pipeline({funcs: [
+        function addToPnodeArray(_, _cb) {
+            txn.get(LKEY_PNODE, function(err, pnodes) {
                 if (err) {
-                    err = new verror.VError(err);
+                    return _cb(new verror.VError(err));
                 }
-                serializedHash.version = version;
-                return cb(err);
+                if (pnodes.indexOf(pnode) !== -1) {
+                    return _cb(new verror.VError('pnode %s already exists',
+                                                 pnode));
+                }
+                var before = pnodes.slice();
+                pnodes.push(pnode);
+                txn.put(LKEY_PNODE, pnodes);
+                txn.put(sprintf(LKEY_PNODE_P, pnode), []);
+                events.push({name: 'pnodeAdded', event: {
+                    pnode: pnode,
+                    before: before,
+                    after: pnodes
+                }});
+                return _cb();
             });
+        },
+        function setPnodeDomain(_, _cb) {
+            if (op.domain === undefined) {
+                return _cb();
+            }
+            txn.get(LKEY_PNODE_DOMAINS, function(err, domains) {
+                // rings created before failure domains have no domains.
+                if (err && err.name && err.name === 'NotFoundError') {
+                    domains = {};
+                } else if (err) {
+                    return _cb(new verror.VError(err));
+                }
+                domains[pnode] = op.domain;
+                txn.put(LKEY_PNODE_DOMAINS, domains);
+                return _cb();
+            });
+            return (undefined);
         }
-    ];
+    ], arg: {}}, function(err) {
+        return cb(err);
+    });
+}
 
-    vasync.pipeline({funcs: tasks, arg: {}}, function(err) {
-        if (err) {
-            err = new verror.VError(err, 'unable to serialize ring');
-        }
-        log.trace({
-            serializedRing: serializedHash
-        }, 'ConsistentHash.serialize: fully serialized ring');
-        if (!err) {
-            var stringifiedHash = JSON.stringify(serializedHash);
+/**
+ * Stages a remap:
+ * 1) vnodes actually exist, and are specified once and only once.
+ * 2) vnodes don't already belong to the new pnode.
+ * 3) get the old pnode each vnode belongs to.
+ * 4) get the data of each vnode.
+ * 5) delete the old mappings, /pnode/oldp/n, remove the vnodes from the
+ * array in /pnode/oldp.
+ * 6) add the new mappings, /pnode/newp/n, add the vnodes to the array in
+ * /pnode/newp, and map /vnode/n to the new pnode.
+ */
+function stageRemapVnode(self, txn, op, events, cb) {
+    var newPnode = op.pnode;
+    var vnodes = op.vnodes;
+    vasync.pipeline({funcs: [
+        function assertVnodesExist(_, _cb) {
+            var vnodeMap = {};
+            for (var i = 0; i < vnodes.length; i++) {
+                var v = vnodes[i];
+                if ((v >= self.vnodeCount_) || (v < 0) ||
+                    (Math.floor(v) !== v)) {
+                    return _cb(new verror.VError('vnode ' + v +
+                                                ' does not exist in the ring'));
+                } else if (vnodeMap[v]) {
+                    return _cb(new verror.VError('vnode ' + v +
+                                                 ' specified more than once'));
+                }
+                vnodeMap[v] = true;
+            }
+            return _cb();
+        },
+        function checkAndCreateNewPnode(_, _cb) {
+            txn.get(sprintf(LKEY_PNODE_P, newPnode), function(err, pVnodes) {
+                if (err && err.name && err.name === 'NotFoundError') {
+                    _.newVnodes = [];
+                    return _cb();
+                } else if (err) {
+                    return _cb(new verror.VError(err));
+                }
+                _.newVnodes = pVnodes;
+                return _cb();
+            });
+        },
+        function getOldVnodeMappings(_, _cb) {
+            // get the previous vnode to pnode mapping, and the data of each
+            // vnode.
+            _.oldPnodes = {};
+            _.data = {};
+            forEachBounded(vnodes, function(v, __cb) {
+                txn.get(sprintf(LKEY_VNODE_V, v), function(err, pnode) {
+                    if (err) {
+                        return __cb(new verror.VError(err));
+                    }
+                    // check that the vnode doesn't already belong to the
+                    // newPnode.
+                    if (pnode === newPnode) {
+                        return __cb(new verror.VError('vnode ' + v +
+                            ' already belongs to pnode'));
+                    }
+                    _.oldPnodes[v] = pnode;
+                    txn.get(sprintf(LKEY_PNODE_P_V, pnode, v),
+                            function(_err, d)
+                    {
+                        if (_err) {
+                            return __cb(new verror.VError(_err));
+                        }
+                        _.data[v] = d;
+                        return __cb();
+                    });
+                    return (undefined);
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function delOldMappings(_, _cb) {
+            // group the vnodes by their old pnode, so each /pnode/oldp array
+            // is only read and written once.
+            var removed = {};
+            vnodes.forEach(function(v) {
+                var p = _.oldPnodes[v];
+                if (!removed[p]) {
+                    removed[p] = {};
+                }
+                removed[p][v] = true;
+                txn.del(sprintf(LKEY_PNODE_P_V, p, v));
+            });
+            forEachBounded(Object.keys(removed), function(p, __cb) {
+                txn.get(sprintf(LKEY_PNODE_P, p), function(err, oldVnodes) {
+                    if (err) {
+                        return __cb(new verror.VError(err,
+                            'couldn\'t get path /pnode/' + p));
+                    }
+                    var remaining = oldVnodes.filter(function(v) {
+                        return (!removed[p][v]);
+                    });
+                    if (oldVnodes.length - remaining.length !==
+                        Object.keys(removed[p]).length) {
+                        return __cb(new verror.VError('vnodes: ' +
+                            Object.keys(removed[p]).join(', ') +
+                            ' do not all exist in old pnode: ' + p));
+                    }
+                    txn.put(sprintf(LKEY_PNODE_P, p), remaining);
+                    return __cb();
+                });
+            }, function(err) {
+                return _cb(err);
+            });
+        },
+        function addNewMappings(_, _cb) {
+            vnodes.forEach(function(v) {
+                _.newVnodes.push(v);
+                txn.put(sprintf(LKEY_PNODE_P_V, newPnode, v), _.data[v]);
+                txn.put(sprintf(LKEY_VNODE_V, v), newPnode);
+            });
+            txn.put(sprintf(LKEY_PNODE_P, newPnode), _.newVnodes);
+            return _cb();
+        },
+        function addPnodeToPnodeArray(_, _cb) {
+            txn.get(LKEY_PNODE, function(err, pnodes) {
+                if (err) {
+                    return _cb(new verror.VError(err));
+                }
+
+                // add the new pnode to the pnode array if it doesn't exist.
+                if (pnodes.indexOf(newPnode) === -1) {
+                    var before = pnodes.slice();
+                    pnodes.push(newPnode);
+                    txn.put(LKEY_PNODE, pnodes);
+                    events.push({name: 'pnodeAdded', event: {
+                        pnode: newPnode,
+                        before: before,
+                        after: pnodes
+                    }});
+                }
+                var after = {};
+                vnodes.forEach(function(v) {
+                    after[v] = newPnode;
+                });
+                events.push({name: 'vnodeRemapped', event: {
+                    pnode: newPnode,
+                    vnodes: vnodes,
+                    before: _.oldPnodes,
+                    after: after
+                }});
+                return _cb();
+            });
         }
-        log.info({err: err}, 'ConsistentHash.serialize: exiting');
+    ], arg: {}}, function(err) {
+        return cb(err);
+    });
+}
 
-        dtrace._fash_probes['serialize-done'].fire(function() {
-            return ([err ? err.message : null]);
-        });
-        return callback(err, stringifiedHash);
+function stageRemovePnode(self, txn, op, events, cb) {
+    var pnode = op.pnode;
+    vasync.pipeline({funcs: [
+        function checkPnodeExists(_, _cb){
+            txn.get(sprintf(LKEY_PNODE_P, pnode), function(err, v) {
+                if (err) {
+                    return _cb(new verror.VError(err, 'pnode does not exist'));
+                }
+                _.vnodes = v;
+                return _cb();
+            });
+        },
+        function checkPnodeHasVnodes(_, _cb) {
+            if (_.vnodes && _.vnodes.length > 0) {
+                var errMsg = 'pnode still maps to vnodes, ' +
+                             're-assign vnodes first';
+                return _cb(new verror.VError(errMsg));
+            }
+            return _cb();
+        },
+        function _removePnode(_, _cb) {
+            // remove /pnode/%s
+            txn.del(sprintf(LKEY_PNODE_P, pnode));
+            // get the pnode array
+            txn.get(LKEY_PNODE, function(err, pnodes) {
+                if (err) {
+                    return _cb(new verror.VError(err));
+                }
+
+                // remove the pnode to the pnode array if it doesn't exist.
+                var pnodeIndex = pnodes.indexOf(pnode);
+                if (pnodeIndex === -1) {
+                    return _cb(new verror.VError('pnode does not exist'));
+                }
+                var before = pnodes.slice();
+                pnodes.splice(pnodeIndex, 1);
+                txn.put(LKEY_PNODE, pnodes);
+                events.push({name: 'pnodeRemoved', event: {
+                    pnode: pnode,
+                    before: before,
+                    after: pnodes
+                }});
+                return _cb();
+            });
+        },
+        function removePnodeDomain(_, _cb) {
+            txn.get(LKEY_PNODE_DOMAINS, function(err, domains) {
+                // rings created before failure domains have no domains.
+                if (err && err.name && err.name === 'NotFoundError') {
+                    return _cb();
+                } else if (err) {
+                    return _cb(new verror.VError(err));
+                }
+                if (domains[pnode] !== undefined) {
+                    delete domains[pnode];
+                    txn.put(LKEY_PNODE_DOMAINS, domains);
+                }
+                return _cb();
+            });
+        }
+    ], arg: {}}, function(err) {
+        return cb(err);
     });
-};
+}
 
 /**
  * used for unit tests only.
  */
 module.exports.LKEY_ALGORITHM = LKEY_ALGORITHM;
 module.exports.LKEY_COMPLETE = LKEY_COMPLETE;
+module.exports.LKEY_GENERATION = LKEY_GENERATION;
+module.exports.LKEY_HISTORY_G = LKEY_HISTORY_G;
+module.exports.LKEY_PNODE = LKEY_PNODE;
+module.exports.LKEY_PNODE_DOMAINS = LKEY_PNODE_DOMAINS;
 module.exports.LKEY_PNODE_P = LKEY_PNODE_P;
 module.exports.LKEY_PNODE_P_V = LKEY_PNODE_P_V;
 module.exports.LKEY_VERSION = LKEY_VERSION;
 module.exports.LKEY_VNODE_COUNT = LKEY_VNODE_COUNT;
+module.exports.LKEY_VNODE_DATA = LKEY_VNODE_DATA;
 module.exports.LKEY_VNODE_V = LKEY_VNODE_V;
 
@@ -0,0 +1,169 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+/**
+ * Creates a changeset, a set of changes to a ring that are committed
+ * atomically: either every change is made, or none are. Changesets are
+ * created by ring.begin(). Nothing is checked or changed until commit() is
+ * invoked, at which point each change is validated against the ring as left
+ * by the changes before it.
+ *
+ * @constructor
+ * @this {Changeset}
+ *
+ * @param {Object} ring The ring the changes are made to.
+ */
+function Changeset(ring) {
+    assert.object(ring, 'ring');
+
+    /**
+     * The ring the changes are made to.
+     */
+    this.ring_ = ring;
+
+    /**
+     * The array of changes, in the order they were made.
+     */
+    this.ops_ = [];
+
+    /**
+     * Whether the changeset has been committed or aborted.
+     */
+    this.done_ = false;
+}
+
+/**
+ * @exports Changeset as Changeset
+ */
+module.exports = Changeset;
+
+/**
+ * Remaps vnodes to a pnode, see ring.remapVnode().
+ *
+ * @param {String} pnode The pnode to remap the vnodes to.
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @return {Changeset} this changeset.
+ */
+Changeset.prototype.remapVnode = function remapVnode(pnode, vnodes) {
+    assert.string(pnode, 'pnode');
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    return (this.push_({op: 'remapVnode', pnode: pnode, vnodes: vnodes}));
+};
+
+/**
+ * Adds data to vnodes, see ring.addData().
+ *
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @param {Object} data The data, or null to remove the data of the vnodes.
+ * @return {Changeset} this changeset.
+ */
+Changeset.prototype.addData = function addData(vnodes, data) {
+    if (Array.isArray(vnodes)) {
+        assert.arrayOfNumber(vnodes, 'vnodes');
+        return (this.push_({op: 'addData', vnodes: vnodes, data: data}));
+    }
+    assert.number(vnodes, 'vnode');
+    return (this.push_({op: 'addData', vnode: vnodes, data: data}));
+};
+
+/**
+ * Removes the data of vnodes, see ring.removeData().
+ *
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @return {Changeset} this changeset.
+ */
+Changeset.prototype.removeData = function removeData(vnodes) {
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    return (this.push_({op: 'removeData', vnodes: vnodes}));
+};
+
+/**
+ * Sets the state of vnodes, see ring.setVnodeState().
+ *
+ * @param {Number[] || Number} vnodes The vnodes.
+ * @param {String} state The state.
+ * @param {Object} meta The optional meta of the state.
+ * @return {Changeset} this changeset.
+ */
+Changeset.prototype.setVnodeState = function setVnodeState(vnodes, state,
+                                                           meta)
+{
+    if (typeof (vnodes) === 'number') {
+        vnodes = [vnodes];
+    }
+    assert.arrayOfNumber(vnodes, 'vnodes');
+    assert.string(state, 'state');
+    assert.optionalObject(meta, 'meta');
+    return (this.push_({op: 'setVnodeState', vnodes: vnodes, state: state,
+                        meta: meta}));
+};
+
+/**
+ * Removes a pnode, see ring.removePnode().
+ *
+ * @param {String} pnode The pnode.
+ * @return {Changeset} this changeset.
+ */
+Changeset.prototype.removePnode = function removePnode(pnode) {
+    assert.string(pnode, 'pnode');
+    return (this.push_({op: 'removePnode', pnode: pnode}));
+};
+
+/**
+ * Validates and applies every change in the changeset atomically. If any of
+ * the changes fails, the ring is left as it was. Ring events are only emitted
+ * once every change has been made. The generation of the ring is bumped once
+ * for the whole changeset.
+ *
+ * @param {Object} opts The optional options object.
+ * @param {Number} opts.expectedGeneration The optional generation the ring
+ *                 must be at. If the ring has been changed since, the commit
+ *                 fails with a GenerationMismatchError.
+ * @param {function} cb The callback f(err). Optional with the in memory
+ *                   backend, in which case errors are thrown.
+ */
+Changeset.prototype.commit = function commit(opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    opts = opts || {};
+    assert.object(opts, 'opts');
+    assert.optionalNumber(opts.expectedGeneration, 'opts.expectedGeneration');
+    assert.optionalFunc(cb, 'callback');
+    this.assertOpen_();
+    this.done_ = true;
+    return (this.ring_.commit_(this.ops_, opts, cb));
+};
+
+/**
+ * Discards every change in the changeset.
+ */
+Changeset.prototype.abort = function abort() {
+    this.assertOpen_();
+    this.done_ = true;
+    this.ops_ = [];
+};
+
+Changeset.prototype.push_ = function push_(op) {
+    this.assertOpen_();
+    this.ops_.push(op);
+    return (this);
+};
+
+Changeset.prototype.assertOpen_ = function assertOpen_() {
+    if (this.done_) {
+        throw new verror.VError('changeset has already been committed or ' +
+                                'aborted');
+    }
+};
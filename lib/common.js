@@ -3,9 +3,9 @@
  */
 
 var assert = require('assert-plus');
-var bignum = require('bignum');
 var bunyan = require('bunyan');
 var crypto = require('crypto');
+var hex = require('./hex');
 var util = require('util');
 var sprintf = util.format;
 var verror = require('verror');
@@ -15,7 +15,7 @@ var verror = require('verror');
  * hashspaceInterval.
  * @param {Object} options The options object.
  * @param {String} options.vnode The vnode.
- * @param {Bignum} options.vnodeHashInterval The vnode hash interval.
+ * @param {String} options.vnodeHashInterval The vnode hash interval, in hex.
  *
  * @return {String} the hex representation of the beginning of the hashspace
  * the vnode maps to.
@@ -23,7 +23,7 @@ var verror = require('verror');
 function _findHashspace(options) {
     assert.object(options, 'options');
     assert.object(options.log, 'options.log');
-    assert.object(options.vnodeHashInterval, 'options.vnodeHashinterval');
+    assert.string(options.vnodeHashInterval, 'options.vnodeHashinterval');
     assert.number(options.vnode, 'options.vnode');
 
     var log = options.log;
@@ -35,7 +35,7 @@ function _findHashspace(options) {
         interval: vnodeHashInterval
     }, 'fash.findHashspace: entering');
 
-    var hashspace = vnodeHashInterval.mul(vnode);
+    var hashspace = hex.multiply(vnodeHashInterval, vnode);
 
     log.debug({
         vnode: vnode,
@@ -43,28 +43,678 @@ function _findHashspace(options) {
         hashspace: hashspace
     }, 'ConsistentHash.findHashspace: exiting');
 
-    return hashspace.toString(16);
+    return hashspace;
 }
 
 /**
  * Simply divide the hash by the number of vnodes to find which vnode maps to
- * this hash.
+ * this hash. The max of the algorithm is rarely a multiple of the number of
+ * vnodes, so the few hashes past the last whole interval belong to the last
+ * vnode. With short hashes like fnv1a these are hit in practice.
+ *
+ * This is on the path of every lookup, so the division is done on Numbers
+ * made from the first 13 digits of the hash and of the interval, which puts
+ * the quotient within a factor of about 2^-46 of the exact one. Only when the
+ * quotient is that close to a whole number -- the hash is next to the start
+ * of a vnode -- is the vnode settled exactly, by comparing the hash with the
+ * starts of the vnodes on either side.
  * @param {Object} options The options object.
  * @param {String} options.hash the value of the hash string in hex.
- * @param {Bignum} options.vnodeHashInterval The vnode hash interval.
+ * @param {String} options.vnodeHashInterval The vnode hash interval, in hex.
+ * @param {Number} options.vnodeCount The number of vnodes.
  * @return {Integer} the vnode.
  */
 function _findVnode(options) {
+    // not asserted, assert-plus costs more than the lookup itself.
+    var hash = hex.normalize(options.hash);
+    var interval = options.vnodeHashInterval;
+    var last = options.vnodeCount - 1;
+    var quotient = hex.toNumber(hash) / hex.toNumber(hex.normalize(interval));
+    var vnode = Math.floor(quotient);
+    if (vnode > last + 1) {
+        return (last);
+    }
+
+    var fraction = quotient - vnode;
+    var tolerance = (quotient + 1) * Math.pow(2, -40);
+    if (fraction < tolerance || fraction > 1 - tolerance) {
+        while (vnode > 0 &&
+               hex.compare(hex.multiply(interval, vnode), hash) > 0) {
+            vnode--;
+        }
+        while (vnode < last &&
+               hex.compare(hex.multiply(interval, vnode + 1), hash) <= 0) {
+            vnode++;
+        }
+    }
+    return (Math.min(vnode, last));
+}
+
+/**
+ * Find the hash interval of each vnode, the max of the algorithm divided by
+ * the number of vnodes.
+ * @param {String} algorithmMax The hex max of the algorithm.
+ * @param {Number} vnodeCount The number of vnodes.
+ * @return {String} the vnode hash interval, in hex.
+ */
+function _findHashInterval(algorithmMax, vnodeCount) {
+    assert.string(algorithmMax, 'algorithmMax');
+    assert.number(vnodeCount, 'vnodeCount');
+    return (hex.divide(algorithmMax, vnodeCount));
+}
+
+/**
+ * Get the failure domain of a pnode. Pnodes without a domain label are each
+ * in a failure domain of their own.
+ * @param {Object} domains The map of {pnode -> domain}.
+ * @param {String} pnode The pnode.
+ * @return {String} the failure domain of the pnode.
+ */
+function _failureDomain(domains, pnode) {
+    assert.object(domains, 'domains');
+    assert.string(pnode, 'pnode');
+    if (typeof (domains[pnode]) === 'string') {
+        return ('domain:' + domains[pnode]);
+    }
+    return ('pnode:' + pnode);
+}
+
+/**
+ * Count the distinct failure domains of a set of pnodes. This is the most
+ * distinct pnodes a replica lookup can return.
+ * @param {String[]} pnodes The pnodes.
+ * @param {Object} domains The map of {pnode -> domain}.
+ * @return {Integer} the number of failure domains.
+ */
+function _countFailureDomains(pnodes, domains) {
+    assert.arrayOfString(pnodes, 'pnodes');
+    var seen = {};
+    var count = 0;
+    pnodes.forEach(function(pnode) {
+        var domain = _failureDomain(domains, pnode);
+        if (!seen[domain]) {
+            seen[domain] = true;
+            count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Create the allocator that hands out the pnode each vnode is assigned to when
+ * a new ring is created. Vnodes are split in proportion to the weight of each
+ * pnode using smooth weighted round robin: on every call, each pnode's credit
+ * grows by its weight, and the pnode with the most credit -- ties going to the
+ * pnode that comes first in pnodes -- is picked and pays back the total
+ * weight. When all weights are equal, this assigns vnode % pnodes.length, the
+ * same as an unweighted ring.
+ * @param {String[]} pnodes The sorted array of pnodes.
+ * @param {Object} weights The optional map of {pnode -> weight}. Pnodes without
+ *                 a weight default to 1.
+ * @return {function} the allocator f(), which returns the pnode of the next
+ * vnode.
+ */
+function _createAllocator(pnodes, weights) {
+    assert.arrayOfString(pnodes, 'pnodes');
+    assert.optionalObject(weights, 'weights');
+    weights = weights || {};
+
+    var total = 0;
+    var credits = pnodes.map(function(pnode) {
+        var weight = weights[pnode] === undefined ? 1 : weights[pnode];
+        total += weight;
+        return ({pnode: pnode, weight: weight, credit: 0});
+    });
+
+    return function allocate() {
+        var picked = null;
+        credits.forEach(function(c) {
+            c.credit += c.weight;
+            if (picked === null || c.credit > picked.credit) {
+                picked = c;
+            }
+        });
+        picked.credit -= total;
+        return (picked.pnode);
+    };
+}
+
+/**
+ * Pick the vnodes a new pnode should take over from the existing pnodes. One
+ * vnode at a time is taken from whichever pnode currently owns the most
+ * vnodes, ties going to the pnode that sorts first, so the same ring always
+ * yields the same moves. Each pnode gives up its highest numbered vnodes
+ * first.
+ * @param {Object} options The options object.
+ * @param {Object} options.pnodeToVnodes The map of {pnode -> [vnodes]}.
+ * @param {Number} options.count The number of vnodes to take.
+ * @return {Object[]} the moves, [{vnode, oldPnode}].
+ */
+function _planAddPnode(options) {
+    assert.object(options, 'options');
+    assert.object(options.pnodeToVnodes, 'options.pnodeToVnodes');
+    assert.number(options.count, 'options.count');
+
+    var pnodes = Object.keys(options.pnodeToVnodes).sort();
+    var vnodes = {};
+    pnodes.forEach(function(pnode) {
+        vnodes[pnode] = options.pnodeToVnodes[pnode].slice().sort(
+            function(a, b) { return (a - b); });
+    });
+
+    var moves = [];
+    while (moves.length < options.count) {
+        var donor = null;
+        for (var i = 0; i < pnodes.length; i++) {
+            var p = pnodes[i];
+            if (donor === null || vnodes[p].length > vnodes[donor].length) {
+                donor = p;
+            }
+        }
+        if (donor === null || vnodes[donor].length === 0) {
+            break;
+        }
+        moves.push({vnode: vnodes[donor].pop(), oldPnode: donor});
+    }
+
+    return moves;
+}
+
+/**
+ * Create the history entry of a change to the ring. Besides the changes that
+ * were made, the entry holds the changes that undo them, in the order they
+ * have to be applied, which are worked out from the ring events of the change.
+ * @param {Object} options The options object.
+ * @param {Number} options.generation The generation the change moved the ring
+ *                 to.
+ * @param {Object[]} options.ops The changes that were made.
+ * @param {Object[]} options.events The ring events of the change,
+ *                   [{name, event}], in the order they happened.
+ * @param {Object} options.domains The map of {pnode -> domain} from before the
+ *                 change, used to restore the domains of removed pnodes.
+ * @return {Object} the entry, {generation, ops, undo}.
+ */
+function _createHistoryEntry(options) {
+    assert.object(options, 'options');
+    assert.number(options.generation, 'options.generation');
+    assert.arrayOfObject(options.ops, 'options.ops');
+    assert.arrayOfObject(options.events, 'options.events');
+    assert.object(options.domains, 'options.domains');
+
+    var ops = options.ops.map(function(op) {
+        op = JSON.parse(JSON.stringify(op));
+        if (op.op === 'remapVnode' && typeof (op.vnodes) === 'number') {
+            op.vnodes = [op.vnodes];
+        }
+        return (op);
+    });
+
+    var undo = [];
+    options.events.slice().reverse().forEach(function(e) {
+        var event = e.event;
+        switch (e.name) {
+            case 'pnodeAdded':
+                undo.push({op: 'removePnode', pnode: event.pnode});
+                break;
+            case 'pnodeRemoved':
+                var op = {op: 'addPnode', pnode: event.pnode};
+                if (options.domains[event.pnode] !== undefined) {
+                    op.domain = options.domains[event.pnode];
+                }
+                undo.push(op);
+                break;
+            case 'vnodeRemapped':
+                // move the vnodes back, one remap per old pnode.
+                var remaps = {};
+                event.vnodes.forEach(function(v) {
+                    var p = event.before[v];
+                    if (!remaps[p]) {
+                        remaps[p] = {op: 'remapVnode', pnode: p, vnodes: []};
+                        undo.push(remaps[p]);
+                    }
+                    remaps[p].vnodes.push(v);
+                });
+                break;
+            case 'dataChanged':
+                // put back runs of vnodes that had the same data as one
+                // change, so bulk changes have a bulk undo.
+                var last = undo[undo.length - 1];
+                if (last && last.op === 'addData' &&
+                    JSON.stringify(last.data) ===
+                    JSON.stringify(event.before)) {
+                    last.vnodes.push(event.vnode);
+                } else {
+                    undo.push({op: 'addData', vnodes: [event.vnode],
+                               data: event.before});
+                }
+                break;
+            default:
+                throw new verror.VError('unknown ring event %s', e.name);
+        }
+    });
+
+    return ({generation: options.generation, ops: ops, undo: undo});
+}
+
+/**
+ * Work out the changes that revert a ring to an earlier generation: the undo
+ * changes of every history entry after that generation, newest first.
+ * @param {Object} options The options object.
+ * @param {Object[]} options.history The history entries of the ring.
+ * @param {Number} options.generation The generation to revert to.
+ * @param {Number} options.currentGeneration The generation of the ring.
+ * @return {Object[]} the changes.
+ */
+function _planRevert(options) {
+    assert.object(options, 'options');
+    assert.arrayOfObject(options.history, 'options.history');
+    assert.number(options.generation, 'options.generation');
+    assert.number(options.currentGeneration, 'options.currentGeneration');
+
+    var generation = options.generation;
+    if (generation < 0 || generation > options.currentGeneration ||
+        Math.floor(generation) !== generation) {
+        throw new verror.VError('unable to revert to generation %d, the ring ' +
+                                'is at generation %d', generation,
+                                options.currentGeneration);
+    }
+
+    var entries = {};
+    options.history.forEach(function(entry) {
+        entries[entry.generation] = entry;
+    });
+    var undo = [];
+    for (var g = options.currentGeneration; g > generation; g--) {
+        if (!entries[g]) {
+            throw new verror.VError('unable to revert to generation %d, the ' +
+                                    'history of generation %d is not ' +
+                                    'available', generation, g);
+        }
+        undo = undo.concat(entries[g].undo);
+    }
+
+    return undo;
+}
+
+/**
+ * Compute the fingerprint of a ring, the sha256 digest of its algorithm, its
+ * number of vnodes, and the pnode and data of every vnode in order. Rings
+ * that map every key to the same pnode and data have the same fingerprint,
+ * whatever their backend.
+ * @param {Object} options The options object.
+ * @param {String} options.algorithm The name of the hash algorithm.
+ * @param {Object[]} options.vnodes The array of {pnode, data} indexed by vnode,
+ *                   where data is null if the vnode has no data.
+ * @return {String} the fingerprint, in hex.
+ */
+function _fingerprint(options) {
+    assert.object(options, 'options');
+    assert.string(options.algorithm, 'options.algorithm');
+    assert.arrayOfObject(options.vnodes, 'options.vnodes');
+
+    var hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({
+        algorithm: options.algorithm,
+        vnodes: options.vnodes.length
+    }) + '\n');
+    options.vnodes.forEach(function(v, vnode) {
+        hash.update(JSON.stringify([vnode, v.pnode, v.data]) + '\n');
+    });
+
+    return hash.digest('hex');
+}
+
+/**
+ * Check the invariants of a ring, given the state read from its backend:
+ * 1) every pnode has a list of vnodes, and every list belongs to a pnode.
+ * 2) every vnode 0..vnodes-1 is listed by exactly one pnode, and no other
+ * vnode is listed.
+ * 3) every vnode maps back to the pnode that lists it.
+ * 4) every vnode has data, or null if it has none, under the pnode it maps to.
+ * 5) the list of vnodes with data is exactly the vnodes that have data.
+ *
+ * Each problem is an object of {code, message}, plus the pnode and vnode it is
+ * about, if any. The codes are:
+ * pnodeMissing: a pnode has no list of vnodes.
+ * pnodeUnlisted: a list of vnodes belongs to an unknown pnode.
+ * vnodeOutOfRange: a vnode outside the ring is listed by a pnode.
+ * vnodeUnowned: a vnode isn't listed by any pnode.
+ * vnodeMultiplyOwned: a vnode is listed by more than one pnode.
+ * vnodeUnmapped: a vnode doesn't map to a pnode.
+ * vnodeMismatch: a vnode maps to a pnode that doesn't list it.
+ * dataMissing: a vnode has no data, not even null, under its pnode.
+ * dataVnodeMissing: a vnode has data, but isn't in the list of data vnodes.
+ * dataVnodeStale: a vnode is in the list of data vnodes, but has no data.
+ *
+ * @param {Object} options The options object.
+ * @param {Number} options.vnodes The number of vnodes in the ring.
+ * @param {String[]} options.pnodes The pnodes of the ring.
+ * @param {Object} options.pnodeVnodes The map of {pnode -> [vnodes]}.
+ * @param {Array} options.vnodePnodes The pnode each vnode maps to, indexed by
+ *                vnode, undefined if it maps to none.
+ * @param {Array} options.vnodeData The data of each vnode under the pnode it
+ *                maps to, indexed by vnode, null if it has no data, undefined
+ *                if it is missing.
+ * @param {Number[]} options.dataVnodes The list of vnodes with data.
+ * @return {Object[]} the problems found, empty if the ring is consistent.
+ */
+function _verifyRing(options) {
+    assert.object(options, 'options');
+    assert.number(options.vnodes, 'options.vnodes');
+    assert.arrayOfString(options.pnodes, 'options.pnodes');
+    assert.object(options.pnodeVnodes, 'options.pnodeVnodes');
+    assert.ok(Array.isArray(options.vnodePnodes), 'options.vnodePnodes');
+    assert.ok(Array.isArray(options.vnodeData), 'options.vnodeData');
+    assert.ok(Array.isArray(options.dataVnodes), 'options.dataVnodes');
+
+    var problems = [];
+    // problem(code, pnode, vnode, format, args...), where pnode and vnode are
+    // null or undefined if the problem isn't about one.
+    function problem(code, p, v) {
+        var args = Array.prototype.slice.call(arguments, 3);
+        var entry = {code: code, message: sprintf.apply(null, args)};
+        if (p !== null && p !== undefined) {
+            entry.pnode = p;
+        }
+        if (v !== null && v !== undefined) {
+            entry.vnode = v;
+        }
+        problems.push(entry);
+    }
+
+    options.pnodes.forEach(function(p) {
+        if (!options.pnodeVnodes[p]) {
+            problem('pnodeMissing', p, null, 'pnode %s has no vnodes list', p);
+        }
+    });
+
+    var owners = {};
+    Object.keys(options.pnodeVnodes).sort().forEach(function(p) {
+        if (options.pnodes.indexOf(p) === -1) {
+            problem('pnodeUnlisted', p, null,
+                    'vnodes list of pnode %s, which is not in the ring', p);
+        }
+        options.pnodeVnodes[p].forEach(function(v) {
+            v = Number(v);
+            if (v < 0 || v >= options.vnodes || Math.floor(v) !== v) {
+                problem('vnodeOutOfRange', p, v,
+                        'pnode %s lists vnode %s, which is not in the ring',
+                        p, v);
+                return;
+            }
+            if (!owners[v]) {
+                owners[v] = [];
+            }
+            owners[v].push(p);
+        });
+    });
+
+    var dataVnodes = {};
+    options.dataVnodes.forEach(function(v) {
+        dataVnodes[Number(v)] = true;
+    });
+
+    for (var v = 0; v < options.vnodes; v++) {
+        var vOwners = owners[v] || [];
+        var pnode = options.vnodePnodes[v];
+        if (vOwners.length === 0) {
+            problem('vnodeUnowned', null, v,
+                    'vnode %d is not listed by any pnode', v);
+        } else if (vOwners.length > 1) {
+            problem('vnodeMultiplyOwned', null, v,
+                    'vnode %d is listed by pnodes %s', v, vOwners.join(', '));
+        }
+
+        if (pnode === undefined) {
+            problem('vnodeUnmapped', null, v,
+                    'vnode %d does not map to a pnode', v);
+        } else if (vOwners.indexOf(pnode) === -1) {
+            problem('vnodeMismatch', pnode, v,
+                    'vnode %d maps to pnode %s, which does not list it',
+                    v, pnode);
+        }
+
+        var data = options.vnodeData[v];
+        if (pnode !== undefined && data === undefined) {
+            problem('dataMissing', pnode, v,
+                    'vnode %d has no data under pnode %s', v, pnode);
+        }
+        var hasData = (data !== undefined && data !== null);
+        if (hasData && !dataVnodes[v]) {
+            problem('dataVnodeMissing', pnode, v,
+                    'vnode %d has data, but is not in the data vnodes', v);
+        } else if (!hasData && dataVnodes[v]) {
+            problem('dataVnodeStale', pnode, v,
+                    'vnode %d is in the data vnodes, but has no data', v);
+        }
+        delete dataVnodes[v];
+    }
+
+    Object.keys(dataVnodes).forEach(function(dv) {
+        problem('dataVnodeStale', null, Number(dv),
+                'vnode %s is in the data vnodes, but is not in the ring', dv);
+    });
+
+    return (problems);
+}
+
+/**
+ * Find the range of hashes a vnode owns, from the beginning of its hashspace
+ * to the hash before the beginning of the next vnode's. The last vnode also
+ * owns the remainder of the hashes up to the max of the algorithm, so the
+ * ranges of the vnodes cover every hash. The bounds are inclusive, in lower
+ * case hex padded to the length of the max, so they can be compared as
+ * strings with hex digests of keys.
+ * @param {Object} options The options object.
+ * @param {Number} options.vnode The vnode.
+ * @param {Number} options.vnodeCount The number of vnodes in the ring.
+ * @param {String} options.vnodeHashInterval The vnode hash interval, in hex.
+ * @param {String} options.algorithmMax The hex max of the algorithm.
+ *
+ * @return {Object} the {start, end} of the range.
+ * @throws {VError} if the vnode is not in the ring.
+ */
+function _findVnodeRange(options) {
+    assert.object(options, 'options');
+    assert.number(options.vnode, 'options.vnode');
+    assert.number(options.vnodeCount, 'options.vnodeCount');
+    assert.string(options.vnodeHashInterval, 'options.vnodeHashInterval');
+    assert.string(options.algorithmMax, 'options.algorithmMax');
+
+    var vnode = options.vnode;
+    if (vnode < 0 || vnode >= options.vnodeCount ||
+        Math.floor(vnode) !== vnode) {
+        throw new verror.VError('vnode %s is not in the ring', vnode);
+    }
+
+    var width = options.algorithmMax.length;
+    function pad(h) {
+        while (h.length < width) {
+            h = '0' + h;
+        }
+        return (h);
+    }
+
+    var interval = options.vnodeHashInterval;
+    var end;
+    if (vnode === options.vnodeCount - 1) {
+        end = hex.normalize(options.algorithmMax);
+    } else {
+        end = hex.decrement(hex.multiply(interval, vnode + 1));
+    }
+    return ({
+        start: pad(hex.multiply(interval, vnode)),
+        end: pad(end)
+    });
+}
+
+/**
+ * Find the ranges of hashes a set of vnodes owns, with the ranges of adjacent
+ * vnodes merged into one. See findVnodeRange() for the format of the ranges.
+ * @param {Object} options The options object.
+ * @param {Number[]} options.vnodes The vnodes.
+ * @param {Number} options.vnodeCount The number of vnodes in the ring.
+ * @param {String} options.vnodeHashInterval The vnode hash interval, in hex.
+ * @param {String} options.algorithmMax The hex max of the algorithm.
+ *
+ * @return {Object[]} the {start, end} of each range, in order.
+ */
+function _findVnodesRanges(options) {
+    assert.object(options, 'options');
+    assert.arrayOfNumber(options.vnodes, 'options.vnodes');
+
+    var vnodes = options.vnodes.slice().sort(function(a, b) {
+        return (a - b);
+    });
+    function range(vnode) {
+        return (_findVnodeRange({
+            vnode: vnode,
+            vnodeCount: options.vnodeCount,
+            vnodeHashInterval: options.vnodeHashInterval,
+            algorithmMax: options.algorithmMax
+        }));
+    }
+
+    var ranges = [];
+    var first;
+    for (var i = 0; i < vnodes.length; i++) {
+        if (first === undefined) {
+            first = vnodes[i];
+        }
+        if (i === vnodes.length - 1 || vnodes[i + 1] !== vnodes[i] + 1) {
+            ranges.push({
+                start: range(first).start,
+                end: range(vnodes[i]).end
+            });
+            first = undefined;
+        }
+    }
+    return (ranges);
+}
+
+/**
+ * Compute the ownership statistics of a ring. Each vnode owns an equal share
+ * of the hashspace, so the share of a pnode is its share of the vnodes. A run
+ * is a set of adjacent vnodes, see findVnodesRanges(), so fewer runs means
+ * fewer ranges to scan.
+ *
+ * The imbalance is computed over the vnode counts of the pnodes. Its ratio is
+ * the max count over the min count, which is null if a pnode owns no vnodes.
+ * @param {Object} options The options object.
+ * @param {Number} options.vnodes The number of vnodes in the ring.
+ * @param {Object} options.pnodeToVnodes The map of {pnode -> [vnodes]}.
+ * @param {Number[]} options.dataVnodes The vnodes with data.
+ *
+ * @return {Object} the stats, of the form {vnodes, pnodes: [{pnode, vnodes,
+ *                  share, runs, dataVnodes}], imbalance: {min, max, mean,
+ *                  stddev, ratio}}, where the pnodes are sorted by name.
+ */
+function _computeStats(options) {
+    assert.object(options, 'options');
+    assert.number(options.vnodes, 'options.vnodes');
+    assert.object(options.pnodeToVnodes, 'options.pnodeToVnodes');
+    assert.ok(Array.isArray(options.dataVnodes), 'options.dataVnodes');
+
+    var dataVnodes = {};
+    options.dataVnodes.forEach(function(v) {
+        dataVnodes[Number(v)] = true;
+    });
+
+    var pnodes = Object.keys(options.pnodeToVnodes).sort().map(function(p) {
+        var vnodes = options.pnodeToVnodes[p].map(Number).sort(function(a, b) {
+            return (a - b);
+        });
+        var runs = 0;
+        var data = 0;
+        vnodes.forEach(function(v, i) {
+            if (i === 0 || vnodes[i - 1] !== v - 1) {
+                runs++;
+            }
+            if (dataVnodes[v]) {
+                data++;
+            }
+        });
+        return ({
+            pnode: p,
+            vnodes: vnodes.length,
+            share: vnodes.length / options.vnodes * 100,
+            runs: runs,
+            dataVnodes: data
+        });
+    });
+
+    var counts = pnodes.map(function(p) {
+        return (p.vnodes);
+    });
+    var imbalance = {
+        min: null,
+        max: null,
+        mean: null,
+        stddev: null,
+        ratio: null
+    };
+    if (counts.length > 0) {
+        imbalance.min = Math.min.apply(null, counts);
+        imbalance.max = Math.max.apply(null, counts);
+        imbalance.mean = counts.reduce(function(sum, c) {
+            return (sum + c);
+        }, 0) / counts.length;
+        imbalance.stddev = Math.sqrt(counts.reduce(function(sum, c) {
+            return (sum + Math.pow(c - imbalance.mean, 2));
+        }, 0) / counts.length);
+        if (imbalance.min > 0) {
+            imbalance.ratio = imbalance.max / imbalance.min;
+        }
+    }
+
+    return ({
+        vnodes: options.vnodes,
+        pnodes: pnodes,
+        imbalance: imbalance
+    });
+}
+
+/**
+ * Creates the filter findVnodes() uses to tell whether it wants a vnode.
+ * @param {Object} options The options object.
+ * @param {Object} options.data The optional data the vnodes must have, or null
+ * for vnodes without data. Data is compared as JSON.
+ * @param {function} options.predicate The optional f(node), which is given the
+ * {vnode, pnode, data} of a vnode and returns whether it is wanted.
+ *
+ * @return {function} f(node), which returns whether the vnode is wanted.
+ */
+function _createVnodeFilter(options) {
     assert.object(options, 'options');
-    assert.object(options.vnodeHashInterval, 'options.vnodeHashinterval');
-    assert.string(options.hash, 'options.hash');
-    return parseInt(bignum(options.hash, 16).div(options.vnodeHashInterval), 10);
+    assert.optionalFunc(options.predicate, 'options.predicate');
+
+    var data = options.data === undefined ?
+        undefined : JSON.stringify(options.data);
+    return function(node) {
+        if (data !== undefined && JSON.stringify(node.data) !== data) {
+            return (false);
+        }
+        return (!options.predicate || !!options.predicate(node));
+    };
 }
 
 /**
  * exports
  */
 module.exports = {
+    computeStats: _computeStats,
+    countFailureDomains: _countFailureDomains,
+    createAllocator: _createAllocator,
+    createHistoryEntry: _createHistoryEntry,
+    createVnodeFilter: _createVnodeFilter,
+    failureDomain: _failureDomain,
+    findHashInterval: _findHashInterval,
     findHashspace: _findHashspace,
-    findVnode: _findVnode
+    findVnode: _findVnode,
+    findVnodeRange: _findVnodeRange,
+    findVnodesRanges: _findVnodesRanges,
+    fingerprint: _fingerprint,
+    planAddPnode: _planAddPnode,
+    planRevert: _planRevert,
+    verifyRing: _verifyRing
 };
@@ -10,19 +10,59 @@ var PROBES = {
     'getnode-start': ['char *'],
     // key, value, pnode, vnode, data
     'getnode-done': ['char *', 'char *', 'char *', 'char *', 'char *'],
+    // number of keys
+    'getnodemulti-start': ['int'],
+    // err, number of keys, number of vnodes
+    'getnodemulti-done': ['char *', 'int', 'int'],
+    // key, n
+    'getnodes-start': ['char *', 'int'],
+    // err, key, n, pnodes
+    'getnodes-done': ['char *', 'char *', 'int', 'char *'],
     //
     'serialize-start': [],
     // err
     'serialize-done': ['char *'],
-    // vnode, data
-    'adddata-start': ['int', 'char *'],
-    // err, vnode, data
-    'adddata-done': ['char *', 'int', 'char *'],
+    //
+    'fingerprint-start': [],
+    // err, fingerprint
+    'fingerprint-done': ['char *', 'char *'],
+    //
+    'verify-start': [],
+    // err, number of problems
+    'verify-done': ['char *', 'int'],
+    // dryRun
+    'repair-start': ['int'],
+    // err, number of fixes
+    'repair-done': ['char *', 'int'],
+    // vnodes, data
+    'adddata-start': ['char *', 'char *'],
+    // err, vnodes, data
+    'adddata-done': ['char *', 'char *', 'char *'],
+    // vnodes
+    'removedata-start': ['char *'],
+    // err, vnodes
+    'removedata-done': ['char *', 'char *'],
+    // vnodes, state
+    'setvnodestate-start': ['char *', 'char *'],
+    // err, vnodes, state
+    'setvnodestate-done': ['char *', 'char *', 'char *'],
     // newPnode, vnode
     'remapvnode-start': ['char *', 'int'],
     // err, newPnode, oldPnode, vnode
     'remapvnode-done': ['char *', 'char *', 'char *', 'int'],
     // pnode
+    'addpnode-start': ['char *'],
+    // err, pnode, number of vnodes moved
+    'addpnode-done': ['char *', 'char *', 'int'],
+    // number of changes
+    'commit-start': ['int'],
+    // err, number of changes
+    'commit-done': ['char *', 'int'],
+    // generation
+    'revertto-start': ['int'],
+    // err, generation
+    'revertto-done': ['char *', 'int'],
+    // pnode
     'removepnode-start': ['char *'],
     // err, pnode
     'removepnode-done': ['char *', 'char *']
@@ -0,0 +1,31 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var util = require('util');
+var verror = require('verror');
+
+/**
+ * Returned when a change is made with opts.expectedGeneration, and the ring
+ * has since been changed by someone else. Reload the ring and retry the change
+ * against the new generation.
+ *
+ * @constructor
+ * @param {Number} expected The generation the change expected.
+ * @param {Number} actual The generation of the ring.
+ */
+function GenerationMismatchError(expected, actual) {
+    verror.VError.call(this, 'ring is at generation %d, expected generation %d',
+                       actual, expected);
+    this.expected = expected;
+    this.actual = actual;
+}
+util.inherits(GenerationMismatchError, verror.VError);
+GenerationMismatchError.prototype.name = 'GenerationMismatchError';
+
+/**
+ * @exports
+ */
+module.exports = {
+    GenerationMismatchError: GenerationMismatchError
+};
@@ -0,0 +1,166 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+
+/**
+ * Arithmetic on unsigned integers of any size, kept as hex strings, in plain
+ * JavaScript. Only what the ring needs is supported -- dividing the max of an
+ * algorithm into vnodes and multiplying the interval back out -- so the other
+ * operand is always a Number of at most 32 bits, which keeps every
+ * intermediate result well inside the 53 bits a Number holds exactly.
+ *
+ * Arguments may be in either case and have leading zeros. Results are lower
+ * case whole bytes, with no more than one leading zero, the same as bignum's
+ * toString(16).
+ */
+
+/**
+ * Strips the leading zeros of a hex string down to whole bytes, and lower
+ * cases it. Normalized hex strings of the same length compare the same as the
+ * numbers they hold.
+ *
+ * @param {String} a The hex string.
+ * @return {String} the normalized hex string.
+ */
+function normalize(a) {
+    a = a.replace(/^0+/, '').toLowerCase();
+    if (a.length === 0) {
+        return ('0');
+    }
+    return (a.length % 2 === 0 ? a : '0' + a);
+}
+
+/**
+ * Compares two hex strings.
+ *
+ * @param {String} a The first hex string.
+ * @param {String} b The second hex string.
+ * @return {Number} less than 0 if a < b, 0 if a = b, and greater than 0 if
+ *                  a > b.
+ */
+function compare(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (a.length !== b.length) {
+        return (a.length - b.length);
+    }
+    return (a < b ? -1 : (a > b ? 1 : 0));
+}
+
+/**
+ * Multiplies a hex string by a Number.
+ *
+ * @param {String} a The hex string.
+ * @param {Number} n The unsigned 32 bit integer.
+ * @return {String} a * n, in hex.
+ */
+function multiply(a, n) {
+    assertUint32(n, 'n');
+    a = normalize(a);
+    var chunks = [];
+    var carry = 0;
+    for (var i = a.length; i > 0; i -= 5) {
+        var p = parseInt(a.substring(Math.max(0, i - 5), i), 16) * n + carry;
+        carry = Math.floor(p / 0x100000);
+        chunks.push(pad5(p % 0x100000));
+    }
+    chunks.push(carry.toString(16));
+    return (normalize(chunks.reverse().join('')));
+}
+
+/**
+ * Divides a hex string by a Number, rounding down.
+ *
+ * @param {String} a The hex string.
+ * @param {Number} n The unsigned 32 bit integer, which must not be 0.
+ * @return {String} floor(a / n), in hex.
+ */
+function divide(a, n) {
+    assertUint32(n, 'n');
+    assert.ok(n > 0, 'n must not be 0');
+    a = normalize(a);
+    var result = '';
+    var remainder = 0;
+    // the first chunk is short, so the rest line up on 4 digits.
+    var i = a.length % 4 || 4;
+    for (var start = 0; start < a.length; start = i, i += 4) {
+        var p = remainder * 0x10000 + parseInt(a.substring(start, i), 16);
+        var q = Math.floor(p / n);
+        remainder = p - q * n;
+        result += pad4(q);
+    }
+    return (normalize(result));
+}
+
+/**
+ * Subtracts 1 from a hex string.
+ *
+ * @param {String} a The hex string, which must not be 0.
+ * @return {String} a - 1, in hex.
+ */
+function decrement(a) {
+    a = normalize(a);
+    assert.ok(a !== '0', 'a must not be 0');
+    var i = a.length - 1;
+    while (a.charAt(i) === '0') {
+        i--;
+    }
+    var digit = (parseInt(a.charAt(i), 16) - 1).toString(16);
+    return (normalize(a.substring(0, i) + digit +
+                      new Array(a.length - i).join('f')));
+}
+
+/**
+ * Converts a hex string to the nearest Number below it. Only the first 13
+ * digits, at least 49 bits, are kept, so the result is exact up to 2^52 and
+ * otherwise within a factor of 2^-48 of the hex string.
+ *
+ * @param {String} a The normalized hex string.
+ * @return {Number} a, as a Number.
+ */
+function toNumber(a) {
+    if (a.length > 1 && a.charAt(0) === '0') {
+        a = a.substring(1);
+    }
+    if (a.length <= 13) {
+        return (parseInt(a, 16));
+    }
+    return (parseInt(a.substring(0, 13), 16) * Math.pow(16, a.length - 13));
+}
+
+///--- Privates
+
+/**
+ * assert-plus is too slow for the lookup path, hence the plain check.
+ */
+function assertUint32(n, name) {
+    if (typeof (n) !== 'number' || !(n >= 0 && n <= 0xffffffff) ||
+        Math.floor(n) !== n) {
+        throw new assert.AssertionError({
+            message: name + ' must be an unsigned 32 bit integer',
+            actual: n
+        });
+    }
+}
+
+function pad4(n) {
+    return (('000' + n.toString(16)).slice(-4));
+}
+
+function pad5(n) {
+    return (('0000' + n.toString(16)).slice(-5));
+}
+
+/**
+ * @exports
+ */
+module.exports = {
+    compare: compare,
+    decrement: decrement,
+    divide: divide,
+    multiply: multiply,
+    normalize: normalize,
+    toNumber: toNumber
+};
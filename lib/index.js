@@ -2,18 +2,21 @@
  * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
  */
 
+var algorithms = require('./algorithms');
 var assert = require('assert-plus');
-var bignum = require('bignum');
+var errors = require('./errors');
+var hex = require('./hex');
+var rebalance = require('./rebalance');
 var sprintf = require('util').format;
 var verror = require('verror');
+var vnodeState = require('./vnode_state');
 
 module.exports = {
     create: function create(options, callback) {
         assert.object(options, 'options');
-        assert.string(options.algorithm, 'options.algorithm');
         options.algorithm = getAlgorithm(options.algorithm);
         assert.number(options.vnodes, 'options.vnodes');
-        assert.arrayOfString(options.pnodes, 'options.pnodes');
+        normalizePnodes(options);
         assert.string(options.backend, 'options.backend');
         assert.optionalFunc(callback, 'callback');
         assert.optionalObject(options.leveldbCfg, 'options.leveldbCfg');
@@ -29,10 +32,13 @@ module.exports = {
         assert.object(options.topology.pnodeToVnodeMap,
                       'options.topology.pnodeToVnodeMap');
         assert.number(options.topology.vnodes, 'options.topology.vnodes');
+        assert.optionalObject(options.topology.pnodeDomains,
+                              'options.topology.pnodeDomains');
         assert.object(options.topology.algorithm, 'options.topology.algorithm');
+        algorithms.assertSupported(options.topology.algorithm);
         options.algorithm = options.topology.algorithm;
         options.algorithm.VNODE_HASH_INTERVAL =
-            bignum(options.algorithm.VNODE_HASH_INTERVAL, 16);
+            hex.normalize(options.algorithm.VNODE_HASH_INTERVAL);
         assertVersion(options.topology.version);
         assert.optionalObject(options.leveldbCfg, 'options.leveldbCfg');
         assert.optionalFunc(callback, 'callback');
@@ -61,6 +67,22 @@ module.exports = {
         MD5: {
             NAME: 'md5',
             MAX: 'FFFFFFFF' + 'FFFFFFFF' + 'FFFFFFFF' + 'FFFFFFFF'
+        },
+        MURMUR3_32: {
+            NAME: 'murmur3_32',
+            MAX: 'FFFFFFFF'
+        },
+        MURMUR3_128: {
+            NAME: 'murmur3_128',
+            MAX: 'FFFFFFFF' + 'FFFFFFFF' + 'FFFFFFFF' + 'FFFFFFFF'
+        },
+        XXHASH64: {
+            NAME: 'xxhash64',
+            MAX: 'FFFFFFFF' + 'FFFFFFFF'
+        },
+        FNV1A: {
+            NAME: 'fnv1a',
+            MAX: 'FFFFFFFF'
         }
     },
     BACKEND: {
@@ -68,7 +90,12 @@ module.exports = {
         LEVEL_DB: './backend/leveldb'
     },
     VERSION: '2.1.0',
-    assertVersion: assertVersion
+    VNODE_STATE: vnodeState.STATES,
+    GenerationMismatchError: errors.GenerationMismatchError,
+    applyPlan: rebalance.apply,
+    assertVersion: assertVersion,
+    planRebalance: rebalance.plan,
+    registerAlgorithm: algorithms.register
 };
 
 /**
@@ -99,7 +126,59 @@ function assertVersion(version) {
     }
 }
 
+/**
+ * pnodes can be given either as strings, or as objects of the form
+ * {name, domain, weight}, where domain is the optional failure domain label of
+ * the pnode -- e.g. its zone, rack or host -- and weight is the optional share
+ * of the vnodes the pnode is allocated relative to the other pnodes, defaulting
+ * to 1. Replaces options.pnodes with the array of pnode names and sets
+ * options.pnodeDomains to the map of {pnode -> domain} and options.pnodeWeights
+ * to the map of {pnode -> weight}.
+ */
+function normalizePnodes(options) {
+    assert.ok(Array.isArray(options.pnodes), 'options.pnodes');
+    var names = [];
+    var domains = {};
+    var weights = {};
+    options.pnodes.forEach(function (pnode) {
+        if (typeof (pnode) === 'string') {
+            names.push(pnode);
+            return;
+        }
+        assert.object(pnode, 'pnode');
+        assert.string(pnode.name, 'pnode.name');
+        assert.optionalString(pnode.domain, 'pnode.domain');
+        assert.optionalNumber(pnode.weight, 'pnode.weight');
+        names.push(pnode.name);
+        if (pnode.domain !== undefined) {
+            domains[pnode.name] = pnode.domain;
+        }
+        if (pnode.weight !== undefined) {
+            if (!(pnode.weight > 0) || !isFinite(pnode.weight)) {
+                throw new verror.VError('weight of pnode %s must be a ' +
+                                        'positive number', pnode.name);
+            }
+            weights[pnode.name] = pnode.weight;
+        }
+    });
+    options.pnodes = names;
+    options.pnodeDomains = domains;
+    options.pnodeWeights = weights;
+}
+
+/**
+ * algorithms are given either as the name of a built in or registered
+ * algorithm, or as an object of the form {NAME, MAX, hash}, which is
+ * registered under its name, see algorithms.register(). Returns the {NAME,
+ * MAX} of the algorithm.
+ */
 function getAlgorithm(algo) {
+    if (typeof (algo) === 'object' && algo !== null) {
+        assert.string(algo.NAME, 'options.algorithm.NAME');
+        algorithms.register(algo.NAME, algo);
+        return ({NAME: algo.NAME, MAX: algo.MAX});
+    }
+    assert.string(algo, 'options.algorithm');
     switch (algo) {
         case 'sha256':
         case 'sha-256':
@@ -114,7 +193,34 @@ function getAlgorithm(algo) {
         case 'md5':
         case 'MD5':
             return JSON.parse(JSON.stringify(module.exports.ALGORITHMS.MD5));
+        case 'murmur3_32':
+        case 'murmur3-32':
+        case 'MURMUR3_32':
+        case 'MURMUR3-32':
+            return JSON.parse(JSON.stringify(
+                module.exports.ALGORITHMS.MURMUR3_32));
+        case 'murmur3_128':
+        case 'murmur3-128':
+        case 'MURMUR3_128':
+        case 'MURMUR3-128':
+            return JSON.parse(JSON.stringify(
+                module.exports.ALGORITHMS.MURMUR3_128));
+        case 'xxhash64':
+        case 'xxhash-64':
+        case 'XXHASH64':
+        case 'XXHASH-64':
+            return JSON.parse(JSON.stringify(
+                module.exports.ALGORITHMS.XXHASH64));
+        case 'fnv1a':
+        case 'fnv-1a':
+        case 'FNV1A':
+        case 'FNV-1A':
+            return JSON.parse(JSON.stringify(module.exports.ALGORITHMS.FNV1A));
         default:
+            var registered = algorithms.getRegistered(algo);
+            if (registered) {
+                return (registered);
+            }
             throw new verror.VError('algorithm %s is not supported', algo);
     }
 }
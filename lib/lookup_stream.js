@@ -0,0 +1,171 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+var stream = require('stream');
+var util = require('util');
+var verror = require('verror');
+
+/**
+ * The default max number of lookups in flight at once.
+ */
+var DEFAULT_CONCURRENCY = 100;
+
+/**
+ * Creates an object mode Transform that maps keys, as Strings or Buffers, to
+ * the {key, pnode, vnode, data} they belong to on the ring. Up to concurrency
+ * lookups are in flight at once, and their nodes are emitted in the order of
+ * the keys. No more keys are taken while concurrency lookups are in flight, or
+ * while the nodes emitted haven't been read, so a slow ring, or a slow reader,
+ * pushes back on the writer.
+ *
+ * @constructor
+ * @this {LookupStream}
+ *
+ * @param {Object} options The options object.
+ * @param {Object} options.ring The ring.
+ * @param {Number} options.concurrency The optional max number of lookups in
+ *                 flight at once, defaults to 100.
+ */
+function LookupStream(options) {
+    assert.object(options, 'options');
+    assert.object(options.ring, 'options.ring');
+    assert.optionalNumber(options.concurrency, 'options.concurrency');
+    if (options.concurrency !== undefined && !(options.concurrency >= 1)) {
+        throw new verror.VError('concurrency must be at least 1');
+    }
+
+    stream.Transform.call(this, {objectMode: true});
+
+    this.ring_ = options.ring;
+    this.concurrency_ = options.concurrency || DEFAULT_CONCURRENCY;
+
+    /**
+     * The lookups in flight or not yet emitted, in the order of the keys.
+     * Lookups are {key, node, done}.
+     */
+    this.lookups_ = [];
+    this.inflight_ = 0;
+
+    /**
+     * The callbacks of the key, or of the end of the keys, that are waiting on
+     * the lookups in flight.
+     */
+    this.transformCb_ = null;
+    this.flushCb_ = null;
+
+    /**
+     * Whether the nodes emitted haven't been read yet, in which case no more
+     * keys are taken until they are.
+     */
+    this.full_ = false;
+
+    this.error_ = null;
+}
+util.inherits(LookupStream, stream.Transform);
+
+/**
+ * @exports LookupStream as LookupStream
+ */
+module.exports = LookupStream;
+
+LookupStream.prototype._transform = function _transform(key, encoding, cb) {
+    var self = this;
+    if (self.error_) {
+        return cb();
+    }
+    if (Buffer.isBuffer(key)) {
+        key = key.toString('utf8');
+    }
+    if (typeof (key) !== 'string') {
+        return cb(new verror.VError('key %j is not a String or Buffer', key));
+    }
+
+    var lookup = {key: key, node: null, done: false};
+    self.lookups_.push(lookup);
+    self.inflight_++;
+    // take the next key now if there's room, otherwise once a lookup is done.
+    self.transformCb_ = cb;
+    self.ring_.getNode(key, function(err, node) {
+        self.inflight_--;
+        if (err) {
+            return self.fail_(new verror.VError(err, 'unable to get node of ' +
+                                                'key %s', key));
+        }
+        lookup.node = node;
+        lookup.done = true;
+        return self.drain_();
+    });
+    if (self.transformCb_ && self.hasRoom_()) {
+        self.transformCb_ = null;
+        cb();
+    }
+    return (undefined);
+};
+
+LookupStream.prototype._read = function _read(size) {
+    this.full_ = false;
+    this.drain_();
+    stream.Transform.prototype._read.call(this, size);
+};
+
+LookupStream.prototype._flush = function _flush(cb) {
+    this.flushCb_ = cb;
+    this.drain_();
+};
+
+/**
+ * Emits the nodes of the done lookups at the front of the keys, and lets the
+ * next key, or the end of the keys, through once there's room.
+ */
+LookupStream.prototype.drain_ = function drain_() {
+    if (this.error_) {
+        return;
+    }
+    while (this.lookups_.length > 0 && this.lookups_[0].done) {
+        var lookup = this.lookups_.shift();
+        this.full_ = !this.push({
+            key: lookup.key,
+            pnode: lookup.node.pnode,
+            vnode: lookup.node.vnode,
+            data: lookup.node.data
+        });
+    }
+    var cb;
+    if (this.transformCb_ && this.hasRoom_()) {
+        cb = this.transformCb_;
+        this.transformCb_ = null;
+        cb();
+    } else if (this.flushCb_ && this.lookups_.length === 0) {
+        cb = this.flushCb_;
+        this.flushCb_ = null;
+        cb();
+    }
+};
+
+/**
+ * Whether another key can be taken.
+ */
+LookupStream.prototype.hasRoom_ = function hasRoom_() {
+    return (this.inflight_ < this.concurrency_ && !this.full_);
+};
+
+/**
+ * Fails the stream with the first error. The rest of the lookups are dropped.
+ */
+LookupStream.prototype.fail_ = function fail_(err) {
+    if (this.error_) {
+        return;
+    }
+    this.error_ = err;
+    this.lookups_ = [];
+    var cb = this.transformCb_ || this.flushCb_;
+    this.transformCb_ = null;
+    this.flushCb_ = null;
+    if (cb) {
+        cb(err);
+    } else {
+        this.emit('error', err);
+    }
+};
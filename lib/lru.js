@@ -0,0 +1,175 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+
+/**
+ * Creates a least recently used cache, bounded by the number of entries, the
+ * size of the entries, or both. Once a bound is exceeded, the least recently
+ * used entries are evicted until it isn't. The size of an entry is whatever
+ * the caller says it is, usually an estimate of the bytes it takes up.
+ *
+ * @constructor
+ * @this {LRU}
+ *
+ * @param {Object} options The options object.
+ * @param {Number} options.maxEntries The optional max number of entries.
+ * @param {Number} options.maxBytes The optional max total size of the entries.
+ */
+function LRU(options) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.maxEntries, 'options.maxEntries');
+    assert.optionalNumber(options.maxBytes, 'options.maxBytes');
+    assert.ok(options.maxEntries !== undefined ||
+              options.maxBytes !== undefined,
+              'options.maxEntries or options.maxBytes is required');
+
+    /**
+     * The bounds of the cache.
+     */
+    this.maxEntries_ = options.maxEntries === undefined ?
+        Infinity : options.maxEntries;
+    this.maxBytes_ = options.maxBytes === undefined ?
+        Infinity : options.maxBytes;
+
+    /**
+     * The map of {key -> entry}. Entries are {key, value, size, prev, next},
+     * and are also in a list from head_, the most recently used, to tail_, the
+     * least recently used.
+     */
+    this.entries_ = {};
+    this.head_ = null;
+    this.tail_ = null;
+
+    /**
+     * The number and total size of the entries.
+     */
+    this.count_ = 0;
+    this.bytes_ = 0;
+
+    /**
+     * The number of gets that found, and didn't find, their key.
+     */
+    this.hits_ = 0;
+    this.misses_ = 0;
+}
+
+/**
+ * @exports LRU as LRU
+ */
+module.exports = LRU;
+
+/**
+ * Gets an entry, and makes it the most recently used.
+ *
+ * @param {String} key The key.
+ * @return {Object} the value, or undefined if the key isn't cached.
+ */
+LRU.prototype.get = function get(key) {
+    var entry = this.entries_.hasOwnProperty(key) ?
+        this.entries_[key] : undefined;
+    if (!entry) {
+        this.misses_++;
+        return (undefined);
+    }
+    this.hits_++;
+    this.unlink_(entry);
+    this.link_(entry);
+    return (entry.value);
+};
+
+/**
+ * Sets an entry, and makes it the most recently used. Entries that are larger
+ * than maxBytes on their own aren't cached.
+ *
+ * @param {String} key The key.
+ * @param {Object} value The value.
+ * @param {Number} size The optional size of the entry, defaults to 1.
+ */
+LRU.prototype.set = function set(key, value, size) {
+    size = size || 1;
+    this.del(key);
+    if (size > this.maxBytes_) {
+        return;
+    }
+    var entry = {key: key, value: value, size: size, prev: null, next: null};
+    this.entries_[key] = entry;
+    this.link_(entry);
+    this.count_++;
+    this.bytes_ += size;
+    while (this.count_ > this.maxEntries_ || this.bytes_ > this.maxBytes_) {
+        this.del(this.tail_.key);
+    }
+};
+
+/**
+ * Deletes an entry.
+ *
+ * @param {String} key The key.
+ */
+LRU.prototype.del = function del(key) {
+    if (!this.entries_.hasOwnProperty(key)) {
+        return;
+    }
+    var entry = this.entries_[key];
+    delete this.entries_[key];
+    this.unlink_(entry);
+    this.count_--;
+    this.bytes_ -= entry.size;
+};
+
+/**
+ * Deletes every entry. The hit and miss counters are kept.
+ */
+LRU.prototype.clear = function clear() {
+    this.entries_ = {};
+    this.head_ = null;
+    this.tail_ = null;
+    this.count_ = 0;
+    this.bytes_ = 0;
+};
+
+/**
+ * Gets the counters of the cache.
+ *
+ * @return {Object} the {hits, misses, entries, bytes, maxEntries, maxBytes} of
+ *                  the cache, where the maxes are null if unbounded.
+ */
+LRU.prototype.stats = function stats() {
+    return ({
+        hits: this.hits_,
+        misses: this.misses_,
+        entries: this.count_,
+        bytes: this.bytes_,
+        maxEntries: isFinite(this.maxEntries_) ? this.maxEntries_ : null,
+        maxBytes: isFinite(this.maxBytes_) ? this.maxBytes_ : null
+    });
+};
+
+LRU.prototype.link_ = function link_(entry) {
+    entry.prev = null;
+    entry.next = this.head_;
+    if (this.head_) {
+        this.head_.prev = entry;
+    }
+    this.head_ = entry;
+    if (!this.tail_) {
+        this.tail_ = entry;
+    }
+};
+
+LRU.prototype.unlink_ = function unlink_(entry) {
+    if (entry.prev) {
+        entry.prev.next = entry.next;
+    } else {
+        this.head_ = entry.next;
+    }
+    if (entry.next) {
+        entry.next.prev = entry.prev;
+    } else {
+        this.tail_ = entry.prev;
+    }
+    entry.prev = null;
+    entry.next = null;
+};
@@ -0,0 +1,471 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var fs = require('fs');
+var vasync = require('vasync');
+var verror = require('verror');
+
+/**
+ * Plans the vnode moves that bring a ring to a target ownership. The target is
+ * given either as weights, where each pnode should own vnodes in proportion to
+ * its weight, or as percentages of the ring that must add up to 100. Pnodes in
+ * the ring that are not in the target are drained, and pnodes in the target
+ * that are not in the ring are added.
+ *
+ * Each pnode's target number of vnodes is its exact share rounded down, with
+ * the vnodes left over going to the pnodes with the largest remainders. Every
+ * move takes a vnode from the pnode furthest above its target and gives it to
+ * the pnode furthest below its target, so only the vnodes a pnode owns beyond
+ * its target are moved, and the ring is as balanced as it can be after each
+ * move. Ties go to the pnode that sorts first and pnodes give up their highest
+ * numbered vnodes first, so the same ring and target always yield the same
+ * plan.
+ *
+ * The ring is read only through getPnodes() and getVnodes(), so this works
+ * with either backend.
+ *
+ * @param {Object} options The options object.
+ * @param {Object} options.ring The ring to plan against.
+ * @param {Object} options.weights The map of {pnode -> weight}.
+ * @param {Object} options.percentages The map of {pnode -> percentage}. Only
+ *                 one of weights and percentages may be set.
+ * @param {function} cb The callback f(err, plan), where plan is of the form
+ *                   {vnodes, targets: {pnode -> vnode count},
+ *                   moves: [{vnode, from, to}]}.
+ */
+function plan(options, cb) {
+    assert.object(options, 'options');
+    assert.object(options.ring, 'options.ring');
+    assert.optionalObject(options.weights, 'options.weights');
+    assert.optionalObject(options.percentages, 'options.percentages');
+    assert.func(cb, 'callback');
+
+    var ring = options.ring;
+    var weights;
+    try {
+        weights = targetWeights(options);
+    } catch (e) {
+        return cb(e);
+    }
+
+    var arg = {};
+    vasync.pipeline({funcs: [
+        function getPnodes(_, _cb) {
+            ring.getPnodes(function(err, pnodes) {
+                _.pnodes = pnodes;
+                return _cb(err);
+            });
+        },
+        function getVnodes(_, _cb) {
+            _.pnodeToVnodes = {};
+            vasync.forEachParallel({
+                inputs: _.pnodes,
+                func: function(pnode, __cb) {
+                    ring.getVnodes(pnode, function(err, vnodes) {
+                        _.pnodeToVnodes[pnode] = vnodes;
+                        return __cb(err);
+                    });
+                }
+            }, function(err) {
+                return _cb(err);
+            });
+        }
+    ], arg: arg}, function(err) {
+        if (err) {
+            return cb(new verror.VError(err, 'unable to read ring'));
+        }
+        return cb(null, planMoves(arg.pnodeToVnodes, weights));
+    });
+
+    return (undefined);
+}
+
+/**
+ * Applies a plan from plan() to a ring, remapping its vnodes batch by batch.
+ * The vnodes of a batch are remapped with one remapVnode() call per new pnode.
+ *
+ * If a checkpoint file is given, the number of moves applied so far is written
+ * to it after each batch, so that an interrupted run picks up where it left
+ * off when it's started again with the same plan and checkpoint. The moves of
+ * the batch that was in flight when the run was interrupted are applied again,
+ * skipping any vnodes that already belong to their new pnode. A checkpoint
+ * written for a different plan is an error.
+ *
+ * The optional beforeBatch and afterBatch hooks are invoked before the vnodes
+ * of each batch are remapped and after they've been remapped, e.g. to copy the
+ * data of the vnodes to their new pnode before ownership flips, and to clean
+ * it up from the old pnode afterwards. Since a batch in flight is applied
+ * again on resume, the hooks may be invoked more than once for a batch, and
+ * must be idempotent. An error from a hook stops the run.
+ *
+ * @param {Object} options The options object.
+ * @param {Object} options.ring The ring to apply the plan to.
+ * @param {Object} options.plan The plan, {moves: [{vnode, from, to}]}.
+ * @param {Number} options.batchSize The optional number of moves per batch,
+ *                 defaults to 100.
+ * @param {String} options.checkpoint The optional path of the checkpoint file.
+ * @param {function} options.beforeBatch The optional hook f(batch, cb), where
+ *                   batch is {index, moves}.
+ * @param {function} options.afterBatch The optional hook f(batch, cb).
+ * @param {Object} options.log The optional bunyan log object, defaults to the
+ *                 ring's log.
+ * @param {function} cb The callback f(err, result), where result is {applied,
+ *                   total}.
+ */
+function apply(options, cb) {
+    assert.object(options, 'options');
+    assert.object(options.ring, 'options.ring');
+    assert.object(options.plan, 'options.plan');
+    assert.arrayOfObject(options.plan.moves, 'options.plan.moves');
+    assert.optionalNumber(options.batchSize, 'options.batchSize');
+    assert.optionalString(options.checkpoint, 'options.checkpoint');
+    assert.optionalFunc(options.beforeBatch, 'options.beforeBatch');
+    assert.optionalFunc(options.afterBatch, 'options.afterBatch');
+    assert.optionalObject(options.log, 'options.log');
+    assert.func(cb, 'callback');
+
+    var ring = options.ring;
+    var log = options.log || ring.log;
+    var moves = options.plan.moves;
+    var batchSize = options.batchSize || 100;
+    var planHash = crypto.createHash('sha256')
+        .update(JSON.stringify(moves)).digest('hex');
+    var applied = 0;
+    // with a checkpoint, the first batch may already be partly applied, even
+    // if no checkpoint was written yet -- the run before may have died in
+    // its first batch.
+    var resuming = Boolean(options.checkpoint);
+
+    if (batchSize < 1) {
+        return cb(new verror.VError('batchSize must be at least 1'));
+    }
+
+    log.info({
+        moves: moves.length,
+        batchSize: batchSize,
+        checkpoint: options.checkpoint
+    }, 'rebalance.apply: entering');
+
+    vasync.pipeline({funcs: [
+        function readCheckpoint(_, _cb) {
+            if (!options.checkpoint) {
+                return _cb();
+            }
+            fs.readFile(options.checkpoint, 'utf8', function(err, data) {
+                if (err && err.code === 'ENOENT') {
+                    return _cb();
+                } else if (err) {
+                    return _cb(new verror.VError(err, 'unable to read ' +
+                                                 'checkpoint'));
+                }
+                var checkpoint;
+                try {
+                    checkpoint = JSON.parse(data);
+                } catch (e) {
+                    return _cb(new verror.VError(e, 'invalid checkpoint %s',
+                                                 options.checkpoint));
+                }
+                if (checkpoint.planHash !== planHash) {
+                    return _cb(new verror.VError('checkpoint %s was ' +
+                                                 'written for a different ' +
+                                                 'plan', options.checkpoint));
+                }
+                applied = checkpoint.applied;
+                log.info({
+                    applied: applied
+                }, 'rebalance.apply: resuming from checkpoint');
+                return _cb();
+            });
+            return (undefined);
+        },
+        function applyBatches(_, _cb) {
+            function next() {
+                if (applied >= moves.length) {
+                    return _cb();
+                }
+                var batch = {
+                    index: Math.floor(applied / batchSize),
+                    moves: moves.slice(applied, applied + batchSize)
+                };
+                applyBatch(batch, function(err) {
+                    if (err) {
+                        return _cb(err);
+                    }
+                    applied += batch.moves.length;
+                    // the in memory ring calls back synchronously, don't
+                    // grow the stack with every batch.
+                    return setImmediate(next);
+                });
+                return (undefined);
+            }
+            next();
+        }
+    ], arg: {}}, function(err) {
+        log.info({
+            err: err,
+            applied: applied,
+            total: moves.length
+        }, 'rebalance.apply: exiting');
+        return cb(err, {applied: applied, total: moves.length});
+    });
+
+    function applyBatch(batch, _cb) {
+        vasync.pipeline({funcs: [
+            function beforeBatch(_, __cb) {
+                if (!options.beforeBatch) {
+                    return __cb();
+                }
+                options.beforeBatch(batch, function(err) {
+                    if (err) {
+                        err = new verror.VError(err, 'beforeBatch failed ' +
+                                                'for batch %d', batch.index);
+                    }
+                    return __cb(err);
+                });
+                return (undefined);
+            },
+            function skipApplied(_, __cb) {
+                _.moves = batch.moves;
+                if (!resuming) {
+                    return __cb();
+                }
+                resuming = false;
+                pendingMoves(ring, batch.moves, function(err, pending) {
+                    _.moves = pending;
+                    return __cb(err);
+                });
+                return (undefined);
+            },
+            function remap(_, __cb) {
+                // remap the vnodes of the batch with one call per new pnode.
+                var targets = [];
+                var vnodes = {};
+                _.moves.forEach(function(move) {
+                    if (!vnodes[move.to]) {
+                        vnodes[move.to] = [];
+                        targets.push(move.to);
+                    }
+                    vnodes[move.to].push(move.vnode);
+                });
+                var i = 0;
+                function next(err) {
+                    if (err || i === targets.length) {
+                        return __cb(err);
+                    }
+                    var to = targets[i++];
+                    return ring.remapVnode(to, vnodes[to], function(_err) {
+                        setImmediate(next, _err);
+                    });
+                }
+                next();
+            },
+            function afterBatch(_, __cb) {
+                if (!options.afterBatch) {
+                    return __cb();
+                }
+                options.afterBatch(batch, function(err) {
+                    if (err) {
+                        err = new verror.VError(err, 'afterBatch failed ' +
+                                                'for batch %d', batch.index);
+                    }
+                    return __cb(err);
+                });
+                return (undefined);
+            },
+            function writeCheckpoint(_, __cb) {
+                if (!options.checkpoint) {
+                    return __cb();
+                }
+                var tmp = options.checkpoint + '.tmp';
+                var checkpoint = JSON.stringify({
+                    planHash: planHash,
+                    applied: applied + batch.moves.length,
+                    total: moves.length
+                });
+                fs.writeFile(tmp, checkpoint, function(err) {
+                    if (err) {
+                        return __cb(new verror.VError(err, 'unable to write ' +
+                                                      'checkpoint'));
+                    }
+                    fs.rename(tmp, options.checkpoint, function(_err) {
+                        if (_err) {
+                            _err = new verror.VError(_err, 'unable to write ' +
+                                                     'checkpoint');
+                        }
+                        return __cb(_err);
+                    });
+                    return (undefined);
+                });
+            }
+        ], arg: {}}, function(err) {
+            log.info({
+                err: err,
+                batch: batch.index,
+                moves: batch.moves.length
+            }, 'rebalance.apply: applied batch');
+            return _cb(err);
+        });
+    }
+
+    return (undefined);
+}
+
+/**
+ * Filters out the moves whose vnodes already belong to their new pnode.
+ */
+function pendingMoves(ring, moves, cb) {
+    var owned = {};
+    ring.getPnodes(function(err, pnodes) {
+        if (err) {
+            return cb(err);
+        }
+        var targets = {};
+        moves.forEach(function(move) {
+            if (pnodes.indexOf(move.to) !== -1) {
+                targets[move.to] = true;
+            }
+        });
+        vasync.forEachParallel({
+            inputs: Object.keys(targets),
+            func: function(pnode, _cb) {
+                ring.getVnodes(pnode, function(_err, vnodes) {
+                    if (!_err) {
+                        owned[pnode] = {};
+                        vnodes.forEach(function(v) {
+                            owned[pnode][v] = true;
+                        });
+                    }
+                    return _cb(_err);
+                });
+            }
+        }, function(_err) {
+            if (_err) {
+                return cb(_err);
+            }
+            return cb(null, moves.filter(function(move) {
+                return (!owned[move.to] || !owned[move.to][move.vnode]);
+            }));
+        });
+        return (undefined);
+    });
+}
+
+/**
+ * Validates the target of the plan, and returns it as a map of {pnode ->
+ * weight}.
+ */
+function targetWeights(options) {
+    var weights = options.weights;
+    var percentages = options.percentages;
+    if ((weights && percentages) || (!weights && !percentages)) {
+        throw new verror.VError('exactly one of weights or percentages must ' +
+                                'be specified');
+    }
+
+    var target = weights || percentages;
+    var total = 0;
+    Object.keys(target).forEach(function(pnode) {
+        var w = target[pnode];
+        if (typeof (w) !== 'number' || !isFinite(w) || w < 0) {
+            throw new verror.VError('target of pnode %s must be a ' +
+                                    'non-negative number', pnode);
+        }
+        total += w;
+    });
+    if (total <= 0) {
+        throw new verror.VError('target must give at least one pnode a ' +
+                                'positive share');
+    }
+    if (percentages && Math.abs(total - 100) > 1e-9) {
+        throw new verror.VError('percentages must add up to 100, got %d',
+                                total);
+    }
+
+    return (target);
+}
+
+/**
+ * Computes the plan from the current {pnode -> [vnodes]} ownership and the
+ * target {pnode -> weight}.
+ */
+function planMoves(pnodeToVnodes, weights) {
+    var pnodes = Object.keys(pnodeToVnodes);
+    Object.keys(weights).forEach(function(pnode) {
+        if (!pnodeToVnodes[pnode]) {
+            pnodes.push(pnode);
+        }
+    });
+    pnodes.sort();
+
+    var vnodeCount = 0;
+    var vnodes = {};
+    pnodes.forEach(function(pnode) {
+        vnodes[pnode] = (pnodeToVnodes[pnode] || []).slice().sort(
+            function(a, b) { return (a - b); });
+        vnodeCount += vnodes[pnode].length;
+    });
+
+    // largest remainder apportionment of the vnodes.
+    var totalWeight = 0;
+    pnodes.forEach(function(pnode) {
+        totalWeight += weights[pnode] || 0;
+    });
+    var targets = {};
+    var remainders = [];
+    var assigned = 0;
+    pnodes.forEach(function(pnode) {
+        var share = vnodeCount * (weights[pnode] || 0) / totalWeight;
+        targets[pnode] = Math.floor(share);
+        assigned += targets[pnode];
+        remainders.push({pnode: pnode, remainder: share - targets[pnode]});
+    });
+    remainders.sort(function(a, b) {
+        if (a.remainder !== b.remainder) {
+            return (b.remainder - a.remainder);
+        }
+        return (a.pnode < b.pnode ? -1 : 1);
+    });
+    for (var i = 0; assigned < vnodeCount; i++, assigned++) {
+        targets[remainders[i].pnode]++;
+    }
+
+    var moves = [];
+    for (;;) {
+        var from = null;
+        var to = null;
+        pnodes.forEach(function(pnode) {
+            var diff = vnodes[pnode].length - targets[pnode];
+            if (diff > 0 && (from === null ||
+                diff > vnodes[from].length - targets[from])) {
+                from = pnode;
+            }
+            if (diff < 0 && (to === null ||
+                diff < vnodes[to].length - targets[to])) {
+                to = pnode;
+            }
+        });
+        if (from === null || to === null) {
+            break;
+        }
+        var vnode = vnodes[from].pop();
+        vnodes[to].push(vnode);
+        moves.push({vnode: vnode, from: from, to: to});
+    }
+
+    return ({
+        vnodes: vnodeCount,
+        targets: targets,
+        moves: moves
+    });
+}
+
+/**
+ * exports
+ */
+module.exports = {
+    apply: apply,
+    plan: plan
+};
@@ -0,0 +1,137 @@
+/**
+ * @author <a href="mailto:yjxiao@gmail.com">Yunong J Xiao</a>
+ */
+
+var assert = require('assert-plus');
+var verror = require('verror');
+
+/**
+ * The states of a vnode. Vnodes are writable unless they say otherwise. A
+ * vnode is made readonly before its data is moved, migrating while it is, and
+ * writable again once the move is done, or readonly again if it is abandoned.
+ * The state of a vnode is kept in its data, as {state, meta}, so rings with
+ * states load and serialize the same as any other ring.
+ */
+var STATES = {
+    WRITABLE: 'writable',
+    READONLY: 'readonly',
+    MIGRATING: 'migrating'
+};
+
+/**
+ * Map of {state -> [states]}, the states a vnode can move to from each state.
+ * A vnode can always stay in its state, which updates its meta.
+ */
+var TRANSITIONS = {
+    writable: ['writable', 'readonly'],
+    readonly: ['readonly', 'writable', 'migrating'],
+    migrating: ['migrating', 'readonly', 'writable']
+};
+
+/**
+ * Throws unless the state is one of STATES.
+ *
+ * @param {String} state The state.
+ * @throws {VError} if the state is unknown.
+ */
+function assertState(state) {
+    assert.string(state, 'state');
+    if (!TRANSITIONS.hasOwnProperty(state)) {
+        throw new verror.VError('unknown vnode state %s, must be one of %s',
+                                state, Object.keys(TRANSITIONS).join(', '));
+    }
+}
+
+/**
+ * Throws unless a vnode can move from one state to another.
+ *
+ * @param {Number} vnode The vnode.
+ * @param {String} from The state of the vnode.
+ * @param {String} to The new state of the vnode.
+ * @throws {VError} if the vnode can't move to the new state.
+ */
+function assertTransition(vnode, from, to) {
+    assertState(to);
+    if (TRANSITIONS[from].indexOf(to) === -1) {
+        throw new verror.VError('vnode %d can\'t go from %s to %s, only to %s',
+                                vnode, from, to,
+                                TRANSITIONS[from].join(', '));
+    }
+}
+
+/**
+ * Throws unless the data of a vnode is a state or empty, so that setting a
+ * state never replaces other data.
+ *
+ * @param {Number} vnode The vnode.
+ * @param {Object} data The data of the vnode, or null.
+ * @throws {VError} if the vnode has data that isn't a state.
+ */
+function assertStateData(vnode, data) {
+    if (data !== null && !isState(data)) {
+        throw new verror.VError('vnode %d has data that isn\'t a state, ' +
+                                'remove it before setting a state', vnode);
+    }
+}
+
+/**
+ * Gets the data that holds a state. Writable vnodes without meta have no data.
+ * The meta is copied, so each vnode gets its own.
+ *
+ * @param {String} state The state.
+ * @param {Object} meta The optional meta of the state.
+ * @return {Object} the data, or null.
+ */
+function toData(state, meta) {
+    if (state === STATES.WRITABLE && (meta === undefined || meta === null)) {
+        return (null);
+    }
+    var data = {state: state};
+    if (meta !== undefined && meta !== null) {
+        data.meta = JSON.parse(JSON.stringify(meta));
+    }
+    return (data);
+}
+
+/**
+ * Gets the state held by the data of a vnode. Vnodes without data, or with
+ * data that isn't a state, are writable.
+ *
+ * @param {Object} data The data of the vnode, or null.
+ * @return {Object} the {state, meta} of the vnode, where meta is null if the
+ *                  state has none.
+ */
+function fromData(data) {
+    if (!isState(data)) {
+        return ({state: STATES.WRITABLE, meta: null});
+    }
+    return ({
+        state: data.state,
+        meta: data.meta === undefined ? null : data.meta
+    });
+}
+
+/**
+ * Whether the data of a vnode holds a state.
+ *
+ * @param {Object} data The data of the vnode, or null.
+ * @return {Boolean}
+ */
+function isState(data) {
+    return (typeof (data) === 'object' && data !== null &&
+            typeof (data.state) === 'string' &&
+            TRANSITIONS.hasOwnProperty(data.state));
+}
+
+/**
+ * @exports
+ */
+module.exports = {
+    STATES: STATES,
+    assertState: assertState,
+    assertStateData: assertStateData,
+    assertTransition: assertTransition,
+    fromData: fromData,
+    isState: isState,
+    toData: toData
+};
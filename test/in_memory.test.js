@@ -1,7 +1,8 @@
+var algorithms = require('../lib/algorithms');
 var bignum = require('bignum');
-var crypto = require('crypto');
 var common = require('../lib/common');
 var fash = require('../lib');
+var fs = require('fs');
 var Logger = require('bunyan');
 var util = require('util');
 var uuid = require('node-uuid');
@@ -14,8 +15,10 @@ var LOG = new Logger({
 var NUMBER_OF_KEYS = parseInt(process.env.NUMBER_OF_KEYS || 1000, 10);
 var NUMBER_OF_VNODES = parseInt(process.env.NUMBER_OF_VNODES || 100);
 var NUMBER_OF_PNODES = parseInt(process.env.NUMBER_OF_PNODES || 10);
+var NUMBER_OF_HASHES = parseInt(process.env.NUMBER_OF_HASHES || 50000, 10);
 var PNODES = new Array(NUMBER_OF_PNODES);
-var ALGORITHM = ['sha256', 'sha1', 'md5'];
+var ALGORITHM = ['sha256', 'sha1', 'md5', 'murmur3_32', 'murmur3_128',
+                 'xxhash64', 'fnv1a'];
 
 exports.beforeTest = function (t) {
     for (var i = 0; i < NUMBER_OF_PNODES; i++) {
@@ -421,6 +424,47 @@ _testAllAlgorithms(function add_data_overwrite_with_null(algo, t) {
     });
 });
 
+_testAllAlgorithms(function add_and_remove_data_bulk(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+
+    var events = [];
+    chash.on('dataChanged', function (event) {
+        events.push(event);
+    });
+    chash.addData([1, 2, 3, 4, 5, 3], 'foo');
+    t.equal(chash.getGeneration(), 1, 'bulk addData should be one change');
+    t.equal(events.length, 5, 'each vnode should change once');
+    t.deepEqual(chash.getDataVnodes().sort(), [1, 2, 3, 4, 5]);
+    [1, 2, 3, 4, 5].forEach(function (vnode) {
+        var pnode = chash.vnodeToPnodeMap_[vnode].pnode;
+        t.equal(chash.pnodeToVnodeMap_[pnode][vnode], 'foo',
+            'stored data should match put data');
+    });
+
+    events = [];
+    chash.removeData([2, 4, 6]);
+    t.equal(chash.getGeneration(), 2, 'bulk removeData should be one change');
+    t.deepEqual(events.map(function (event) {
+        return (event.vnode);
+    }), [2, 4], 'vnodes without data should be left alone');
+    t.deepEqual(chash.getDataVnodes().sort(), [1, 3, 5]);
+    t.deepEqual(chash.history()[1].undo,
+                [ {op: 'addData', vnodes: [4, 2], data: 'foo'} ],
+                'bulk removeData should have a bulk undo');
+
+    chash.revertTo(0);
+    t.deepEqual(chash.getDataVnodes(), [], 'revert should remove the data');
+    _verifyRing(chash, t, algo, function () {
+        t.done();
+    });
+});
+
 _testAllAlgorithms(function hashing_the_same_key(algo, t) {
     var chash = fash.create({
         log: LOG,
@@ -429,22 +473,1074 @@ _testAllAlgorithms(function hashing_the_same_key(algo, t) {
         vnodes: NUMBER_OF_VNODES,
         backend: fash.BACKEND.IN_MEMORY
     });
-    for (var i = 0; i < 10; i++) {
-        var random = Math.random().toString(33);
-        var key = random.substring(Math.floor(Math.random() * random.length));
-        var node1 = chash.getNode(key);
-        var node2 = chash.getNode(key);
-        t.equal(node1.pnode, node2.pnode,
-                'hashing the same key twice should return the same pnode');
-        t.equal(node1.vnode, node2.vnode,
-                'hashing the same key twice should return the same vnode');
+    for (var i = 0; i < 10; i++) {
+        var random = Math.random().toString(33);
+        var key = random.substring(Math.floor(Math.random() * random.length));
+        var node1 = chash.getNode(key);
+        var node2 = chash.getNode(key);
+        t.equal(node1.pnode, node2.pnode,
+                'hashing the same key twice should return the same pnode');
+        t.equal(node1.vnode, node2.vnode,
+                'hashing the same key twice should return the same vnode');
+    }
+
+    t.done();
+});
+
+_testAllAlgorithms(function get_node_multi(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var keys = [];
+    for (var i = 0; i < NUMBER_OF_KEYS; i++) {
+        // repeat keys, so that vnodes are shared.
+        keys.push(String(i % 100));
+    }
+    chash.addData(chash.getNode(keys[0]).vnode, 'foo');
+
+    var nodes = chash.getNodeMulti(keys);
+    t.equal(nodes.length, keys.length);
+    keys.forEach(function (key, j) {
+        t.deepEqual(nodes[j], chash.getNode(key),
+                    'nodes should be in the order of the keys');
+    });
+    t.equal(nodes[0].data, 'foo');
+    chash.getNodeMulti(keys, function (err, _nodes) {
+        t.ifError(err);
+        t.deepEqual(_nodes, nodes);
+    });
+    t.deepEqual(chash.getNodeMulti([]), []);
+    t.done();
+});
+
+_testAllAlgorithms(function lookup_stream(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var keys = [];
+    var nodes = [];
+    var stream = chash.createLookupStream({concurrency: 3});
+    stream.on('data', function (node) {
+        nodes.push(node);
+    });
+    stream.once('end', function () {
+        t.equal(nodes.length, keys.length);
+        keys.forEach(function (key, i) {
+            var node = chash.getNode(key);
+            t.deepEqual(nodes[i], {
+                key: key,
+                pnode: node.pnode,
+                vnode: node.vnode,
+                data: node.data
+            }, 'nodes should be in the order of the keys');
+        });
+        t.done();
+    });
+    for (var i = 0; i < NUMBER_OF_KEYS; i++) {
+        keys.push(String(i));
+        // keys can be Strings or Buffers.
+        stream.write(i % 2 === 0 ? keys[i] : new Buffer(keys[i]));
+    }
+    stream.end();
+});
+
+_testAllAlgorithms(function get_nodes(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    for (var i = 0; i < 10; i++) {
+        var key = uuid.v4();
+        var node = chash.getNode(key);
+        var nodes = chash.getNodes(key, 3);
+        t.equal(nodes.length, 3, 'should return 3 nodes');
+        t.equal(nodes[0].pnode, node.pnode,
+                'first node should be the node the key maps to');
+        t.equal(nodes[0].vnode, node.vnode,
+                'first vnode should be the vnode the key maps to');
+        var seen = {};
+        nodes.forEach(function (n) {
+            t.ok(!seen[n.pnode], 'pnode ' + n.pnode + ' returned twice');
+            seen[n.pnode] = true;
+            t.equal(chash.vnodeToPnodeMap_[n.vnode].pnode, n.pnode,
+                    'vnode should belong to pnode');
+        });
+    }
+
+    var all = chash.getNodes(uuid.v4(), PNODES.length + 5);
+    t.equal(all.length, PNODES.length,
+            'should return every pnode if n exceeds the number of pnodes');
+    t.done();
+});
+
+_testAllAlgorithms(function get_nodes_after_remap(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    // map the vnode following the key's vnode to the key's pnode, the walk
+    // should then skip it.
+    var key = uuid.v4();
+    var node = chash.getNode(key);
+    var next = (node.vnode + 1) % NUMBER_OF_VNODES;
+    var afterNext = (node.vnode + 2) % NUMBER_OF_VNODES;
+    chash.remapVnode(node.pnode, [next]);
+    var nodes = chash.getNodes(key, 2);
+    t.equal(nodes[1].vnode, afterNext, 'walk should skip a repeated pnode');
+    t.equal(nodes[1].pnode, chash.vnodeToPnodeMap_[afterNext].pnode,
+            'second pnode should own the vnode it was found on');
+    t.done();
+});
+
+_testAllAlgorithms(function get_nodes_skips_shared_domains(algo, t) {
+    var domains = {};
+    var pnodes = PNODES.map(function (pnode, i) {
+        // two pnodes per domain
+        domains[pnode] = 'zone' + Math.floor(i / 2);
+        return ({name: pnode, domain: domains[pnode]});
+    });
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: pnodes,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.deepEqual(chash.getPnodeDomains(), domains,
+                'pnode domains should match input');
+    for (var i = 0; i < 10; i++) {
+        var nodes = chash.getNodes(uuid.v4(), PNODES.length);
+        t.equal(nodes.length, Math.ceil(PNODES.length / 2),
+                'should return one pnode per domain');
+        var seen = {};
+        nodes.forEach(function (n) {
+            t.ok(!seen[domains[n.pnode]],
+                 'domain ' + domains[n.pnode] + ' returned twice');
+            seen[domains[n.pnode]] = true;
+        });
+    }
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.deepEqual(chash2.getPnodeDomains(), domains,
+                'pnode domains should survive serialization');
+    t.done();
+});
+
+_testAllAlgorithms(function weighted_pnodes(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: [
+            {name: 'A', weight: 3},
+            {name: 'B', weight: 1},
+            'C'
+        ],
+        vnodes: 1000,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash.getVnodes('A').length, 600, 'A should own 3/5 of vnodes');
+    t.equal(chash.getVnodes('B').length, 200, 'B should own 1/5 of vnodes');
+    t.equal(chash.getVnodes('C').length, 200, 'C should own 1/5 of vnodes');
+
+    // equal weights should allocate the same as unweighted pnodes
+    var chash2 = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES.map(function (pnode) {
+            return ({name: pnode, weight: 2});
+        }),
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var chash3 = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash2.serialize(), chash3.serialize(),
+            'equal weights should match an unweighted ring');
+    t.done();
+});
+
+_testAllAlgorithms(function add_pnode(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var before = JSON.parse(chash.serialize()).pnodeToVnodeMap;
+    var share = Math.floor(NUMBER_OF_VNODES / (PNODES.length + 1));
+    var moved = chash.addPnode('newPnode', {domain: 'zone9'});
+
+    t.equal(moved.length, share, 'should move an even share of vnodes');
+    t.equal(chash.getVnodes('newPnode').length, share,
+            'new pnode should own its share of vnodes');
+    t.ok(chash.getPnodes().indexOf('newPnode') !== -1,
+         'new pnode should be in the ring');
+    t.equal(chash.getPnodeDomains().newPnode, 'zone9',
+            'new pnode should have its domain');
+    moved.forEach(function (m) {
+        t.ok(before[m.oldPnode][m.vnode] !== undefined,
+             'vnode should have been owned by its old pnode');
+        t.equal(chash.vnodeToPnodeMap_[m.vnode].pnode, 'newPnode',
+                'vnode should now belong to the new pnode');
+    });
+
+    var min = Infinity;
+    var max = 0;
+    chash.getPnodes().forEach(function (pnode) {
+        var count = chash.getVnodes(pnode).length;
+        min = Math.min(min, count);
+        max = Math.max(max, count);
+    });
+    t.ok(max - min <= 1, 'ring should stay balanced');
+
+    chash.addPnode('newPnode2', {vnodes: 3}, function (err, moved2) {
+        t.ifError(err);
+        t.equal(moved2.length, 3, 'should move the requested vnodes');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function plan_rebalance(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    // drain the first pnode, double the second and add a new pnode.
+    var weights = {};
+    PNODES.slice(1).forEach(function (pnode) {
+        weights[pnode] = 1;
+    });
+    weights[PNODES[1]] = 2;
+    weights.newPnode = 1;
+
+    fash.planRebalance({
+        ring: chash,
+        weights: weights
+    }, function (err, plan) {
+        t.ifError(err);
+        t.equal(plan.vnodes, NUMBER_OF_VNODES, 'plan should cover the ring');
+        var surplus = 0;
+        Object.keys(plan.targets).forEach(function (pnode) {
+            var owned = chash.pnodeToVnodeMap_[pnode] ?
+                chash.getVnodes(pnode).length : 0;
+            surplus += Math.max(0, owned - plan.targets[pnode]);
+        });
+        t.equal(plan.moves.length, surplus,
+                'plan should only move the vnodes above target');
+        t.equal(plan.targets[PNODES[0]], 0, 'drained pnode should own none');
+
+        plan.moves.forEach(function (m) {
+            t.equal(chash.vnodeToPnodeMap_[m.vnode].pnode, m.from,
+                    'vnode should be moved from its owner');
+            chash.remapVnode(m.to, [m.vnode]);
+        });
+        Object.keys(plan.targets).forEach(function (pnode) {
+            t.equal(chash.getVnodes(pnode).length, plan.targets[pnode],
+                    'pnode ' + pnode + ' should own its target');
+        });
+
+        fash.planRebalance({
+            ring: chash,
+            weights: weights
+        }, function (_err, plan2) {
+            t.ifError(_err);
+            t.equal(plan2.moves.length, 0, 'balanced ring needs no moves');
+            t.done();
+        });
+    });
+});
+
+_testAllAlgorithms(function apply_plan_resumes_from_checkpoint(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var weights = {};
+    PNODES.forEach(function (pnode) {
+        weights[pnode] = 1;
+    });
+    weights.newPnode = 2;
+    var checkpoint = '/tmp/' + uuid.v4();
+    var batches = [];
+
+    fash.planRebalance({
+        ring: chash,
+        weights: weights
+    }, function (err, plan) {
+        t.ifError(err);
+        fash.applyPlan({
+            ring: chash,
+            plan: plan,
+            batchSize: 3,
+            checkpoint: checkpoint,
+            beforeBatch: function (batch, cb) {
+                batch.moves.forEach(function (m) {
+                    t.equal(chash.vnodeToPnodeMap_[m.vnode].pnode, m.from,
+                            'vnode should not have moved before the batch');
+                });
+                return cb();
+            },
+            afterBatch: function (batch, cb) {
+                batches.push(batch.index);
+                if (batch.index === 1) {
+                    return cb(new Error('interrupted'));
+                }
+                return cb();
+            }
+        }, function (_err, result) {
+            t.ok(_err, 'failed hook should stop the run');
+            t.equal(result.applied, 3, 'only the first batch should count');
+            fash.applyPlan({
+                ring: chash,
+                plan: plan,
+                batchSize: 3,
+                checkpoint: checkpoint,
+                afterBatch: function (batch, cb) {
+                    batches.push(batch.index);
+                    return cb();
+                }
+            }, function (__err, result2) {
+                t.ifError(__err);
+                t.equal(result2.applied, plan.moves.length,
+                        'every move should be applied');
+                t.equal(batches[2], 1,
+                        'resumed run should apply the interrupted batch');
+                Object.keys(plan.targets).forEach(function (pnode) {
+                    t.equal(chash.getVnodes(pnode).length,
+                            plan.targets[pnode],
+                            'pnode ' + pnode + ' should own its target');
+                });
+                fs.unlinkSync(checkpoint);
+                t.done();
+            });
+        });
+    });
+});
+
+_testAllAlgorithms(function apply_plan_resumes_first_batch(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var weights = {};
+    PNODES.forEach(function (pnode) {
+        weights[pnode] = 1;
+    });
+    weights.newPnode = 2;
+    var checkpoint = '/tmp/' + uuid.v4();
+
+    fash.planRebalance({
+        ring: chash,
+        weights: weights
+    }, function (err, plan) {
+        t.ifError(err);
+        fash.applyPlan({
+            ring: chash,
+            plan: plan,
+            batchSize: 3,
+            checkpoint: checkpoint,
+            afterBatch: function (batch, cb) {
+                return cb(new Error('interrupted'));
+            }
+        }, function (_err, result) {
+            t.ok(_err, 'failed hook should stop the run');
+            t.equal(result.applied, 0, 'no batch should count');
+            t.ok(!fs.existsSync(checkpoint),
+                 'no checkpoint should have been written');
+            fash.applyPlan({
+                ring: chash,
+                plan: plan,
+                batchSize: 3,
+                checkpoint: checkpoint
+            }, function (__err, result2) {
+                t.ifError(__err);
+                t.equal(result2.applied, plan.moves.length,
+                        'every move should be applied');
+                Object.keys(plan.targets).forEach(function (pnode) {
+                    t.equal(chash.getVnodes(pnode).length,
+                            plan.targets[pnode],
+                            'pnode ' + pnode + ' should own its target');
+                });
+                if (fs.existsSync(checkpoint)) {
+                    fs.unlinkSync(checkpoint);
+                }
+                t.done();
+            });
+        });
+    });
+});
+
+_testAllAlgorithms(function ring_events(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var events = [];
+    ['pnodeAdded', 'pnodeRemoved', 'vnodeRemapped', 'dataChanged'].forEach(
+        function (name) {
+        chash.on(name, function (e) {
+            events.push({name: name, event: e});
+        });
+    });
+
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.addData(vnodes[0], 'foo');
+    t.deepEqual(events.shift(), {
+        name: 'dataChanged',
+        event: {vnode: vnodes[0], pnode: PNODES[0], before: null, after: 'foo'}
+    }, 'addData should emit dataChanged');
+
+    chash.remapVnode('newPnode', vnodes);
+    var added = events.shift();
+    t.equal(added.name, 'pnodeAdded', 'new pnode should emit pnodeAdded');
+    t.equal(added.event.pnode, 'newPnode');
+    t.ok(added.event.before.indexOf('newPnode') === -1,
+         'before should not have the new pnode');
+    t.ok(added.event.after.indexOf('newPnode') !== -1,
+         'after should have the new pnode');
+    var remapped = events.shift();
+    t.equal(remapped.name, 'vnodeRemapped', 'remap should emit vnodeRemapped');
+    t.deepEqual(remapped.event.vnodes, vnodes);
+    vnodes.forEach(function (v) {
+        t.equal(remapped.event.before[v], PNODES[0], 'before should be old');
+        t.equal(remapped.event.after[v], 'newPnode', 'after should be new');
+    });
+
+    chash.removePnode(PNODES[0]);
+    var removed = events.shift();
+    t.equal(removed.name, 'pnodeRemoved', 'remove should emit pnodeRemoved');
+    t.ok(removed.event.before.indexOf(PNODES[0]) !== -1);
+    t.ok(removed.event.after.indexOf(PNODES[0]) === -1);
+
+    // failed mutations emit nothing
+    try {
+        chash.remapVnode('newPnode', vnodes[0]);
+    } catch (e) {}
+    t.equal(events.length, 0, 'no other events should be emitted');
+    t.done();
+});
+
+_testAllAlgorithms(function changeset(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var events = [];
+    ['pnodeAdded', 'pnodeRemoved', 'vnodeRemapped', 'dataChanged'].forEach(
+        function (name) {
+        chash.on(name, function (e) {
+            events.push(name);
+        });
+    });
+
+    var vnodes = chash.getVnodes(PNODES[0]);
+    var changeset = chash.begin()
+        .remapVnode('newPnode', vnodes)
+        .addData(vnodes[0], 'foo')
+        .removePnode(PNODES[0]);
+    t.equal(events.length, 0, 'nothing should change before commit');
+    t.deepEqual(chash.getVnodes(PNODES[0]), vnodes);
+
+    changeset.commit(function (err) {
+        t.ifError(err);
+        t.deepEqual(events, ['pnodeAdded', 'vnodeRemapped', 'dataChanged',
+                    'pnodeRemoved'], 'events should be emitted in order');
+        t.deepEqual(chash.getVnodes('newPnode'), vnodes);
+        t.ok(chash.getDataVnodes().indexOf(vnodes[0]) !== -1,
+             'data should be added on the new pnode');
+        t.equal(chash.getPnodes().indexOf(PNODES[0]), -1,
+                'old pnode should be removed');
+
+        var aborted = chash.begin().removePnode('newPnode');
+        aborted.abort();
+        t.deepEqual(chash.getVnodes('newPnode'), vnodes,
+                    'aborted changes should not be made');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function generation(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash.getGeneration(), 0, 'new ring should be at generation 0');
+
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.remapVnode('newPnode', vnodes[0], {expectedGeneration: 0});
+    t.equal(chash.getGeneration(), 1, 'remapVnode should bump generation');
+    chash.addData(vnodes[1], 'foo');
+    t.equal(chash.getGeneration(), 2, 'addData should bump generation');
+    chash.addPnode('otherPnode', {expectedGeneration: 2});
+    t.equal(chash.getGeneration(), 3,
+            'addPnode should bump generation once');
+    chash.begin()
+        .remapVnode('newPnode', chash.getVnodes(PNODES[1]))
+        .removePnode(PNODES[1])
+        .commit({expectedGeneration: 3});
+    t.equal(chash.getGeneration(), 4,
+            'changeset should bump generation once');
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash2.getGeneration(), 4,
+            'generation should survive serialization');
+    t.done();
+});
+
+_testAllAlgorithms(function history_and_revert(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var original = JSON.parse(chash.serialize());
+
+    chash.addPnode('newPnode');
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.remapVnode('newPnode', vnodes);
+    chash.removePnode(PNODES[0]);
+    var history = chash.history();
+    t.equal(history.length, 3, 'every change should have a history entry');
+    history.forEach(function (entry, i) {
+        t.equal(entry.generation, i + 1);
+        t.ok(entry.ops.length > 0, 'entry should have the changes');
+        t.ok(entry.undo.length > 0, 'entry should have the undo changes');
+    });
+    t.deepEqual(history[2].undo, [{op: 'addPnode', pnode: PNODES[0]}],
+                'removed pnode should be added back on undo');
+
+    chash.revertTo(0);
+    t.equal(chash.getGeneration(), 4, 'revert should be a new generation');
+    t.equal(chash.history().length, 4, 'revert should be in the history');
+    var reverted = JSON.parse(chash.serialize());
+    t.deepEqual(reverted.pnodeToVnodeMap, original.pnodeToVnodeMap,
+                'revert should restore the ring');
+    t.deepEqual(reverted.pnodeDomains, original.pnodeDomains);
+
+    // reverting the revert redoes the changes.
+    chash.revertTo(3);
+    var newVnodes = chash.getVnodes('newPnode');
+    vnodes.forEach(function (v) {
+        t.ok(newVnodes.indexOf(v) !== -1,
+             'reverting a revert should redo the changes');
+    });
+    t.equal(chash.getPnodes().indexOf(PNODES[0]), -1);
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.deepEqual(chash2.history(), chash.history(),
+                'history should survive serialization');
+    t.done();
+});
+
+_testAllAlgorithms(function vnode_state(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var STATE = fash.VNODE_STATE;
+    var vnodes = chash.getVnodes(PNODES[0]);
+    t.deepEqual(chash.getVnodeState(vnodes[0]), {
+        vnode: vnodes[0],
+        pnode: PNODES[0],
+        state: STATE.WRITABLE,
+        meta: null
+    }, 'vnodes should start writable');
+    t.equal(chash.getVnodesByState(STATE.WRITABLE).length, NUMBER_OF_VNODES);
+    t.equal(chash.getNode('foo').data, null,
+            'vnodes without data should have null data');
+
+    chash.setVnodeState(vnodes, STATE.READONLY, {reason: 'migration'});
+    var readonly = chash.getVnodesByState(STATE.READONLY);
+    t.deepEqual(readonly.map(function (s) {
+        return (s.vnode);
+    }), vnodes.slice().sort(function (a, b) {
+        return (a - b);
+    }), 'every vnode should be readonly');
+    readonly.forEach(function (s) {
+        t.equal(s.pnode, PNODES[0]);
+        t.deepEqual(s.meta, {reason: 'migration'});
+    });
+    t.equal(chash.getVnodesByState(STATE.WRITABLE).length,
+            NUMBER_OF_VNODES - vnodes.length);
+    t.deepEqual(chash.getDataVnodes().sort(), vnodes.slice().sort(),
+                'state should be kept in the data');
+
+    // writable vnodes have to be readonly before they migrate, so none of the
+    // vnodes are set.
+    var writable = chash.getVnodes(PNODES[1]);
+    var generation = chash.getGeneration();
+    t.throws(function () {
+        chash.setVnodeState([vnodes[0], writable[0]], STATE.MIGRATING);
+    }, /can't go from writable to migrating/);
+    t.equal(chash.getVnodeState(vnodes[0]).state, STATE.READONLY,
+            'failed transition should leave the vnodes as they were');
+    t.equal(chash.getGeneration(), generation);
+    t.throws(function () {
+        chash.setVnodeState(vnodes[0], 'bogus');
+    }, /unknown vnode state bogus/);
+    chash.setVnodeState(writable[0], STATE.MIGRATING, function (err) {
+        t.ok(err, 'errors should be passed to the callback');
+    });
+
+    chash.setVnodeState(vnodes[0], STATE.MIGRATING, {to: 'newPnode'});
+    t.deepEqual(chash.getVnodeState(vnodes[0]).meta, {to: 'newPnode'});
+    chash.remapVnode('newPnode', vnodes[0]);
+    chash.setVnodeState(vnodes[0], STATE.WRITABLE);
+    t.deepEqual(chash.getVnodeState(vnodes[0]), {
+        vnode: vnodes[0],
+        pnode: 'newPnode',
+        state: STATE.WRITABLE,
+        meta: null
+    });
+    t.equal(chash.getDataVnodes().indexOf(vnodes[0]), -1,
+            'writable vnodes without meta should have no data');
+    t.deepEqual(chash.verify(), [], 'ring should be consistent');
+
+    // data that isn't a state is writable, and isn't replaced by a state.
+    chash.addData(writable[0], 'foo');
+    t.equal(chash.getVnodeState(writable[0]).state, STATE.WRITABLE);
+    t.throws(function () {
+        chash.setVnodeState(writable[0], STATE.READONLY);
+    }, /has data that isn't a state/);
+    t.equal(chash.vnodeToPnodeMap_[writable[0]].data, 'foo',
+            'data that isn\'t a state should be kept');
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.deepEqual(chash2.getVnodesByState(STATE.READONLY),
+                chash.getVnodesByState(STATE.READONLY),
+                'state should survive serialization');
+
+    chash.revertTo(0);
+    t.equal(chash.getVnodesByState(STATE.WRITABLE).length, NUMBER_OF_VNODES,
+            'revert should restore the states');
+    t.done();
+});
+
+_testAllAlgorithms(function find_vnodes(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    chash.addData([1, 2, 3], 'ro');
+    chash.setVnodeState([4, 5], fash.VNODE_STATE.READONLY, {owner: 'bob'});
+
+    var all = chash.findVnodes();
+    t.equal(all.length, NUMBER_OF_VNODES, 'every vnode should be found');
+    all.forEach(function (node, i) {
+        t.equal(node.vnode, i, 'vnodes should be in order');
+        t.equal(node.pnode, chash.vnodeToPnodeMap_[i].pnode);
+    });
+
+    var pnodeVnodes = chash.findVnodes({pnode: PNODES[0]}).map(function (n) {
+        return (n.vnode);
+    });
+    t.deepEqual(pnodeVnodes, chash.getVnodes(PNODES[0]).sort(function (a, b) {
+        return (a - b);
+    }));
+
+    t.deepEqual(chash.findVnodes({data: 'ro'}).map(function (node) {
+        return (node.vnode);
+    }), [1, 2, 3]);
+    t.equal(chash.findVnodes({data: null}).length, NUMBER_OF_VNODES - 5,
+            'data of null should find vnodes without data');
+
+    var found = chash.findVnodes({
+        predicate: function (node) {
+            return (node.data !== null && node.data.meta !== undefined &&
+                    node.data.meta.owner === 'bob');
+        }
+    });
+    t.deepEqual(found, [4, 5].map(function (vnode) {
+        return ({
+            vnode: vnode,
+            pnode: chash.vnodeToPnodeMap_[vnode].pnode,
+            data: {state: 'readonly', meta: {owner: 'bob'}}
+        });
+    }));
+
+    t.throws(function () {
+        chash.findVnodes({pnode: 'yunong'});
+    }, /pnode yunong is not in the ring/);
+    t.done();
+});
+
+_testAllAlgorithms(function fingerprint(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var fingerprint = chash.fingerprint();
+    t.ok(/^[0-9a-f]{64}$/.test(fingerprint), 'fingerprint should be hex');
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash2.fingerprint(), fingerprint,
+            'fingerprint should survive serialization');
+
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.remapVnode('newPnode', vnodes[0]);
+    var remapped = chash.fingerprint();
+    t.notEqual(remapped, fingerprint, 'remap should change fingerprint');
+    chash.addData(vnodes[1], 'foo');
+    t.notEqual(chash.fingerprint(), remapped,
+               'addData should change fingerprint');
+
+    chash.revertTo(0);
+    chash.fingerprint(function (err, reverted) {
+        t.ifError(err);
+        t.equal(reverted, fingerprint,
+                'revert should restore the fingerprint');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function verify(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.deepEqual(chash.verify(), [], 'new ring should have no problems');
+
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.addData(vnodes[0], 'foo');
+    chash.remapVnode('newPnode', vnodes);
+    chash.removePnode(PNODES[0]);
+    chash.addPnode('otherPnode');
+    t.deepEqual(chash.verify(), [], 'changed ring should have no problems');
+
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: chash.serialize(),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    chash2.verify(function (err, problems) {
+        t.ifError(err);
+        t.deepEqual(problems, [],
+                    'deserialized ring should have no problems');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function ranges(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var max = chash.algorithm_.MAX.toLowerCase();
+    var first = chash.getVnodeRange(0);
+    t.ok(/^0+$/.test(first.start), 'first vnode should start at 0');
+    t.equal(chash.getVnodeRange(NUMBER_OF_VNODES - 1).end, max,
+            'last vnode should end at the max hash');
+    for (var v = 0; v < NUMBER_OF_VNODES - 1; v++) {
+        var range = chash.getVnodeRange(v);
+        var next = chash.getVnodeRange(v + 1);
+        t.equal(range.start.length, max.length, 'range should be padded');
+        t.equal(bignum(range.end, 16).add(1).toString(16),
+                bignum(next.start, 16).toString(16),
+                'ranges should be contiguous');
+    }
+
+    chash.remapVnode(PNODES[0], chash.getVnodes(PNODES[1]));
+    var ranges = chash.getPnodeRanges(PNODES[0]);
+    t.ok(ranges.length < chash.getVnodes(PNODES[0]).length,
+         'ranges of adjacent vnodes should be merged');
+
+    for (var i = 0; i < NUMBER_OF_KEYS; i++) {
+        var key = uuid.v4();
+        var hash = algorithms.digest(algo, key);
+        var owner = chash.getNode(key).pnode;
+        var inRange = chash.getPnodeRanges(owner).some(function (r) {
+            return (r.start <= hash && hash <= r.end);
+        });
+        t.ok(inRange, 'key should be in a range of its pnode');
     }
+    t.done();
+});
 
+_testAllAlgorithms(function stats(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var vnodes = chash.getVnodes(PNODES[1]);
+    chash.remapVnode(PNODES[0], vnodes);
+    chash.addData(vnodes[0], 'foo');
+
+    var stats = chash.stats();
+    t.equal(stats.vnodes, NUMBER_OF_VNODES);
+    t.equal(stats.pnodes.length, PNODES.length);
+    var total = 0;
+    var share = 0;
+    stats.pnodes.forEach(function (p) {
+        t.equal(p.vnodes, chash.getVnodes(p.pnode).length,
+                'pnode stats should count its vnodes');
+        t.equal(p.runs, chash.getPnodeRanges(p.pnode).length,
+                'runs should be the number of ranges of the pnode');
+        total += p.vnodes;
+        share += p.share;
+    });
+    t.equal(total, NUMBER_OF_VNODES, 'every vnode should be counted');
+    t.ok(Math.abs(share - 100) < 1e-9, 'shares should add up to 100');
+
+    var p0 = stats.pnodes[0];
+    t.equal(p0.pnode, PNODES[0]);
+    t.equal(p0.dataVnodes, 1, 'vnodes with data should be counted');
+    t.equal(stats.imbalance.max, p0.vnodes);
+    t.equal(stats.imbalance.min, 0, 'drained pnode should be the min');
+    t.equal(stats.imbalance.ratio, null,
+            'ratio should be null with an empty pnode');
+    t.ok(stats.imbalance.stddev > 0, 'unbalanced ring should have stddev');
     t.done();
 });
 
+exports.algorithms = function (t) {
+    // published test vectors, with a seed of 0.
+    t.equal(algorithms.fnv1a(''), '811c9dc5');
+    t.equal(algorithms.fnv1a('foobar'), 'bf9cf968');
+    t.equal(algorithms.murmur3_32(''), '00000000');
+    t.equal(algorithms.murmur3_32('hello'), '248bfa47');
+    t.equal(algorithms.murmur3_128(''), '00000000000000000000000000000000');
+    t.equal(algorithms.murmur3_128('I will not buy this record, it is ' +
+                                   'scratched.'),
+            'c382657f9a06c49d4a71fdc6d9b0d48f');
+    t.equal(algorithms.xxhash64(''), 'ef46db3751d8e999');
+    t.equal(algorithms.xxhash64('abc'), '44bc2cf5ad770999');
+    t.equal(algorithms.xxhash64('Nobody inspects the spammish repetition'),
+            'fbcea83c8a378bf1');
+    t.equal(algorithms.digest('md5', 'abc'),
+            '900150983cd24fb0d6963f7d28e17f72');
+
+    var chash = fash.create({
+        log: LOG,
+        algorithm: 'fnv1a',
+        pnodes: PNODES,
+        vnodes: 7,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.equal(chash.findVnode('ffffffff'), 6,
+            'hashes past the last interval should map to the last vnode');
+    t.done();
+};
+
+exports.customAlgorithm = function (t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: DJB2,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var topology = chash.serialize();
+    t.deepEqual(JSON.parse(topology).algorithm.NAME, 'djb2');
+
+    var chash1 = fash.deserialize({
+        log: LOG,
+        topology: topology,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var chash2 = fash.create({
+        log: LOG,
+        algorithm: 'djb2',
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    for (var i = 0; i < NUMBER_OF_KEYS; i++) {
+        var key = uuid.v4();
+        var node = chash.getNode(key);
+        var hash = bignum(DJB2.hash(key), 16);
+        t.equal(node.vnode, chash.findVnode(hash),
+                'key should be placed by the custom hash');
+        t.deepEqual(chash1.getNode(key), node);
+        t.deepEqual(chash2.getNode(key), node);
+    }
+    t.done();
+};
+
+exports.findVnodeMatchesBignum = function (t) {
+    // vnodes must be exactly what dividing the whole hash with bignum gives,
+    // for random keys and for hashes at the edges of vnodes, with every
+    // algorithm and with vnode counts that do and don't divide the max.
+    var counts = [1, 7, 100, 65536, 100003, 1000000];
+    Object.keys(fash.ALGORITHMS).forEach(function (name) {
+        var algo = fash.ALGORITHMS[name];
+        counts.forEach(function (count) {
+            var interval = common.findHashInterval(algo.MAX, count);
+            var bInterval = bignum(algo.MAX, 16).div(count);
+            t.equal(interval, bInterval.toString(16),
+                    name + ' interval of ' + count + ' vnodes');
+
+            var hashes = [algo.MAX, '0', '1'];
+            var i;
+            for (i = 0; i < NUMBER_OF_HASHES; i++) {
+                hashes.push(algorithms.digest(algo.NAME, uuid.v4()));
+            }
+            for (i = 0; i < 1000; i++) {
+                var vnode = Math.floor(Math.random() * count);
+                var start = bInterval.mul(vnode);
+                t.equal(common.findHashspace({
+                    vnode: vnode,
+                    log: LOG,
+                    vnodeHashInterval: interval
+                }), start.toString(16));
+                hashes.push(start.toString(16), start.add(1).toString(16),
+                            start.add(bInterval).sub(1).toString(16));
+            }
+
+            var mismatches = 0;
+            var first;
+            hashes.forEach(function (hash) {
+                var expected = Math.min(
+                    parseInt(bignum(hash, 16).div(bInterval), 10), count - 1);
+                var actual = common.findVnode({
+                    hash: hash,
+                    vnodeHashInterval: interval,
+                    vnodeCount: count
+                });
+                if (actual !== expected) {
+                    mismatches++;
+                    first = first || [hash, actual, expected];
+                }
+            });
+            t.equal(mismatches, 0, name + ' with ' + count + ' vnodes: ' +
+                    util.inspect(first));
+        });
+    });
+    t.done();
+};
+
 /// Negative tests
 
+exports.lookup_stream_should_fail_non_string_keys = function (t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: 'sha256',
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var stream = chash.createLookupStream();
+    stream.once('error', function (err) {
+        t.ok(err, 'non String keys should fail the stream');
+        t.done();
+    });
+    stream.write({});
+};
+
+exports.unregistered_algorithm_should_fail_deserialize = function (t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: 'sha256',
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var topology = JSON.parse(chash.serialize());
+    topology.algorithm.NAME = 'unregistered';
+
+    t.throws(function () {
+        fash.deserialize({
+            log: LOG,
+            topology: JSON.stringify(topology),
+            backend: fash.BACKEND.IN_MEMORY
+        });
+    }, /algorithm unregistered is not registered/);
+    t.done();
+};
+
+exports.register_conflicting_algorithm_should_fail = function (t) {
+    t.throws(function () {
+        fash.registerAlgorithm('sha256', DJB2);
+    }, /is built in/);
+    fash.registerAlgorithm('djb2', DJB2);
+    t.throws(function () {
+        fash.registerAlgorithm('djb2', {
+            MAX: DJB2.MAX,
+            hash: function (key) {
+                return (DJB2.hash(key));
+            }
+        });
+    }, /already registered/);
+    t.done();
+};
+
 _testAllAlgorithms(function deserialize_newer_version(algo, t) {
     var chash = fash.create({
         log: LOG,
@@ -561,6 +1657,109 @@ _testAllAlgorithms(function remap_the_same_vnode_more_than_once(algo, t) {
     t.done();
 });
 
+_testAllAlgorithms(function add_data_to_non_existent_vnodes(algo, t) {
+    var caught;
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+
+    try {
+        chash.addData([0, 1, NUMBER_OF_VNODES], 'foo');
+    } catch (e) {
+        caught = true;
+    }
+
+    t.ok(caught, 'adding data to non-existent vnodes should throw');
+    t.deepEqual(chash.getDataVnodes(), [],
+                'no vnode should get data if any vnode is not in the ring');
+    t.equal(chash.getGeneration(), 0);
+    t.done();
+});
+
+_testAllAlgorithms(function invalid_weight_should_throw(algo, t) {
+    var caught;
+    try {
+        fash.create({
+            log: LOG,
+            algorithm: algo,
+            pnodes: [{name: 'A', weight: 0}, 'B'],
+            vnodes: NUMBER_OF_VNODES,
+            backend: fash.BACKEND.IN_MEMORY
+        });
+    } catch (e) {
+        caught = true;
+    }
+    t.ok(caught, 'a weight of 0 should throw');
+    t.done();
+});
+
+_testAllAlgorithms(function plan_rebalance_bad_percentages(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    fash.planRebalance({
+        ring: chash,
+        percentages: {a: 50, b: 40}
+    }, function (err) {
+        t.ok(err, 'percentages that do not add up to 100 should error');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function apply_plan_with_stale_checkpoint(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var checkpoint = '/tmp/' + uuid.v4();
+    fs.writeFileSync(checkpoint, JSON.stringify({
+        planHash: 'not the plan',
+        applied: 1
+    }));
+    fash.applyPlan({
+        ring: chash,
+        plan: {moves: [{vnode: 0, from: PNODES[0], to: 'newPnode'}]},
+        checkpoint: checkpoint
+    }, function (err) {
+        t.ok(err, 'checkpoint of a different plan should error');
+        t.equal(chash.vnodeToPnodeMap_[0].pnode, PNODES[0],
+                'vnode should not have moved');
+        fs.unlinkSync(checkpoint);
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function add_existing_pnode_should_throw(algo, t) {
+    var caught;
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+
+    try {
+        chash.addPnode(PNODES[0]);
+    } catch (e) {
+        caught = true;
+    }
+
+    t.ok(caught, 'adding an existing pnode should throw');
+    t.done();
+});
+
 _testAllAlgorithms(function remove_non_existent_pnode_should_throw(algo, t) {
     var caught;
     var chash = fash.create({
@@ -597,6 +1796,165 @@ _testAllAlgorithms(function remove_pnode_which_has_vnode_should_throw(algo, t) {
     t.done();
 });
 
+_testAllAlgorithms(function failed_changeset_should_roll_back(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var events = [];
+    chash.on('vnodeRemapped', function (e) {
+        events.push(e);
+    });
+    var before = chash.serialize();
+
+    // PNODES[1] still has vnodes, so it can't be removed
+    var vnodes = chash.getVnodes(PNODES[0]);
+    var changeset = chash.begin()
+        .remapVnode('newPnode', vnodes)
+        .addData(vnodes[0], 'foo')
+        .removePnode(PNODES[1]);
+    var caught;
+    try {
+        changeset.commit();
+    } catch (e) {
+        caught = true;
+    }
+    t.ok(caught, 'a failed change should fail the changeset');
+    t.equal(chash.serialize(), before, 'the ring should be unchanged');
+    t.equal(events.length, 0, 'no events should be emitted');
+
+    caught = false;
+    try {
+        changeset.remapVnode('newPnode', vnodes);
+    } catch (e) {
+        caught = true;
+    }
+    t.ok(caught, 'a committed changeset should not be reusable');
+    t.done();
+});
+
+_testAllAlgorithms(function stale_generation_should_fail(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var vnodes = chash.getVnodes(PNODES[0]);
+    chash.remapVnode('newPnode', vnodes[0]);
+    var before = chash.serialize();
+
+    var caught;
+    try {
+        chash.remapVnode('newPnode', vnodes[1], {expectedGeneration: 0});
+    } catch (e) {
+        caught = e;
+    }
+    t.ok(caught instanceof fash.GenerationMismatchError,
+         'stale generation should throw GenerationMismatchError');
+    t.equal(caught.expected, 0);
+    t.equal(caught.actual, 1);
+    t.equal(chash.serialize(), before, 'the ring should be unchanged');
+
+    chash.addPnode('otherPnode', {expectedGeneration: 0}, function (err) {
+        t.ok(err instanceof fash.GenerationMismatchError,
+             'stale generation should fail addPnode');
+        t.equal(chash.serialize(), before, 'the ring should be unchanged');
+        t.done();
+    });
+});
+
+_testAllAlgorithms(function revert_without_history_should_fail(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    chash.remapVnode('newPnode', chash.getVnodes(PNODES[0]));
+
+    // a ring that has lost its history can't be reverted.
+    var topology = JSON.parse(chash.serialize());
+    delete topology.history;
+    var chash2 = fash.deserialize({
+        log: LOG,
+        topology: JSON.stringify(topology),
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var before = chash2.serialize();
+    var caught;
+    try {
+        chash2.revertTo(0);
+    } catch (e) {
+        caught = true;
+    }
+    t.ok(caught, 'revert without history should throw');
+    t.equal(chash2.serialize(), before, 'the ring should be unchanged');
+
+    caught = false;
+    try {
+        chash.revertTo(2);
+    } catch (e) {
+        caught = true;
+    }
+    t.ok(caught, 'revert to a future generation should throw');
+    t.done();
+});
+
+_testAllAlgorithms(function corrupt_ring_should_fail_verify(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    var vnodes0 = chash.getVnodes(PNODES[0]);
+    var vnodes1 = chash.getVnodes(PNODES[1]);
+
+    // unowned, and so mapped to a pnode that doesn't list it.
+    delete chash.pnodeToVnodeMap_[PNODES[0]][vnodes0[0]];
+    // listed by two pnodes.
+    chash.pnodeToVnodeMap_[PNODES[0]][vnodes1[0]] = 1;
+    // stale data vnode.
+    chash.vnodeData_.push(vnodes0[1]);
+    // data differs between the maps.
+    chash.vnodeToPnodeMap_[vnodes1[1]].data = 'foo';
+
+    var problems = chash.verify();
+    var codes = problems.map(function (p) { return (p.code); }).sort();
+    t.deepEqual(codes, ['dataMismatch', 'dataMissing', 'dataVnodeStale',
+                'vnodeMismatch', 'vnodeMultiplyOwned', 'vnodeUnowned'],
+                'every problem should be found');
+    problems.forEach(function (p) {
+        t.ok(p.message, 'problem should have a message');
+        t.equal(typeof (p.vnode), 'number', 'problem should have the vnode');
+    });
+    t.done();
+});
+
+_testAllAlgorithms(function range_of_missing_node_should_fail(algo, t) {
+    var chash = fash.create({
+        log: LOG,
+        algorithm: algo,
+        pnodes: PNODES,
+        vnodes: NUMBER_OF_VNODES,
+        backend: fash.BACKEND.IN_MEMORY
+    });
+    t.throws(function () {
+        chash.getVnodeRange(NUMBER_OF_VNODES);
+    }, 'vnode outside the ring should throw');
+    chash.getPnodeRanges('yunong', function (err) {
+        t.ok(err, 'pnode outside the ring should fail');
+        t.done();
+    });
+});
+
 _testAllAlgorithms(function node_fash_8_null_out_vnode(algo, t) {
     var chash = fash.create({
         log: LOG,
@@ -623,6 +1981,22 @@ _testAllAlgorithms(function node_fash_8_null_out_vnode(algo, t) {
 });
 
 // Private heleprs
+
+/**
+ * A custom 32 bit hash, djb2.
+ */
+var DJB2 = {
+    NAME: 'djb2',
+    MAX: 'FFFFFFFF',
+    hash: function (key) {
+        var h = 5381;
+        for (var i = 0; i < key.length; i++) {
+            h = ((h << 5) + h + key.charCodeAt(i)) | 0;
+        }
+        return (('00000000' + (h >>> 0).toString(16)).slice(-8));
+    }
+};
+
 function _verifyRing(chash, t, algo, cb) {
     // assert that each node appears once and only once
     var map = {};
@@ -641,10 +2015,7 @@ function _verifyRing(chash, t, algo, cb) {
         var key = random.substring(Math.floor(Math.random() * random.length));
         var node = chash.getNode(key);
 
-        var hash = crypto.createHash(algo);
-        hash.update(key);
-        hash = hash.digest('hex');
-        hash = bignum(hash, 16);
+        var hash = bignum(algorithms.digest(algo, key), 16);
 
         var index = parseInt(chash.findVnode(hash), 10);
         var nextNode;